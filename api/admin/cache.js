@@ -0,0 +1,13 @@
+import { handleCacheAdmin } from "../../lib/cacheAdmin.js";
+
+// GET /api/admin/cache for the cache status; POST /api/admin/cache/refresh
+// is rewritten here with action=refresh (see vercel.json)
+export default async function handler(req, res) {
+  const action = req.query.action === "refresh" ? "refresh" : "status";
+  if (req.method !== (action === "refresh" ? "POST" : "GET")) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { status, body } = await handleCacheAdmin(action, req.query, req.headers.authorization);
+  return res.status(status).json(body);
+}
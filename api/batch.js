@@ -0,0 +1,52 @@
+import { parseBatchInput, startBatchJob, describeBatchResults, formatBatchDownload } from "../lib/batch.js";
+
+// The whole batch has to finish within the function's maxDuration (300 s in
+// vercel.json), with new addresses geocoded at one per second
+const MAX_SERVERLESS_LOCATIONS = 50;
+
+// Serverless functions keep no jobs between requests, so here a batch runs
+// within the POST and the response is the combined download (`format` json
+// or csv), rather than a job to poll as on the Express server. The JSON
+// download also carries the CSV one as `csv`, so the web app can offer both
+// without a job to download them from. There are no jobs to poll:
+// GET /api/batch/:jobId exists only on the Express server.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST');
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const format = req.query.format || "json";
+  if (format !== "json" && format !== "csv") {
+    return res.status(400).json({ error: "Invalid format. Use json or csv." });
+  }
+
+  const { locations, error } = parseBatchInput(await readBody(req), req.headers["content-type"], MAX_SERVERLESS_LOCATIONS);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const job = startBatchJob(locations, req.query, { logger: console });
+  await job.done;
+
+  const download = formatBatchDownload(job, format);
+  const body = format === "json"
+    ? JSON.stringify({ ...describeBatchResults(job), csv: formatBatchDownload(job, "csv").body }, null, 2)
+    : download.body;
+  res.setHeader("Content-Type", download.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${download.filename}"`);
+  return res.status(200).send(body);
+}
+
+// Vercel parses JSON and text/plain bodies into req.body, but leaves other
+// types (such as text/csv) unparsed, so read those from the request itself
+async function readBody(req) {
+  if (req.body !== undefined) {
+    return Buffer.isBuffer(req.body) ? req.body.toString("utf8") : req.body;
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
@@ -0,0 +1,14 @@
+import { handleMapRequest } from "../lib/basemap.js";
+
+// GET /api/map: outlines and tile layer for the results map
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { status, body } = handleMapRequest(req.query);
+  return res.status(status).json(body);
+}
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// Wind history reports from the command line, for shell pipelines and cron.
+// Runs the same search as /api/windstorms, and shares its NOAA cache, without
+// starting the server. Reports go to stdout (or --output); logs go to stderr
+// with --verbose.
+import fs from "fs";
+import { parseArgs } from "util";
+import { searchWindstorms } from "../lib/windHistory.js";
+import { REPORT_FORMATS, parseReportFormat, formatReport } from "../lib/reportFormats.js";
+import { parseBatchInput, startBatchJob, formatBatchDownload } from "../lib/batch.js";
+import { getCacheStatus, refreshCache, parseYearList } from "../lib/cacheAdmin.js";
+import { ensureYearIndex } from "../lib/stormIndex.js";
+import { pruneCache } from "../lib/noaaFiles.js";
+import { EARLIEST_YEAR } from "../lib/dateRange.js";
+
+const USAGE = `Usage:
+  windreport <address> [options]          Search and print a report
+  windreport batch <file> [options]       Run a CSV or JSON batch file ("-" for stdin)
+  windreport cache status                 List cached NOAA files and indexes
+  windreport cache prefetch [start] [end] Download and index years (default: all)
+  windreport cache refresh [year,...]     Download the latest revisions again
+  windreport cache prune                  Remove superseded NOAA files
+
+Location (instead of an address):
+  --lat <lat> --lon <lon>, --fips <code>, --state <state> --county <county>
+  (give a negative value with "=", e.g. --lon=-95.9)
+
+Search options:
+  -r, --radius <miles>        Search radius (default: the whole county)
+  --since <date>, --until <date>
+                              Date range, as YYYY-MM-DD, MM/DD/YYYY or YYYY
+  --years <n>                 Years back from today (default: 10)
+  -t, --types <list>          Event types: wind (default), hail, tornado, other
+  --loss-date <date>          Date-of-loss mode, with --window <days>
+  --sort <date|damage>        Result order
+  --min-damage <dollars>      Only events with at least this much damage
+  --current-dollars           Restate damage in current dollars
+  --include-county-level      Keep events without coordinates in radius searches
+  --units <mph|kmh|knots|ms>  Wind speed units
+  --severe-wind <speed>, --severe-hail <inches>, --severe-tornado <rating>
+  --candidate <index>         Match to use for an ambiguous address
+
+Output:
+  -f, --format <format>       ${REPORT_FORMATS.join(", ")} (default: txt);
+                              csv (default) or json for a batch
+  -o, --output <file>         Write the report to a file instead of stdout
+  -v, --verbose               Log the search to stderr
+  -h, --help                  Show this help`;
+
+// Command-line options and the /api/windstorms parameters they set
+const QUERY_OPTIONS = {
+  lat: "lat",
+  lon: "lon",
+  fips: "fips",
+  state: "state",
+  county: "county",
+  radius: "radius",
+  since: "start",
+  until: "end",
+  years: "years",
+  types: "eventTypes",
+  "loss-date": "lossDate",
+  window: "window",
+  sort: "sort",
+  "min-damage": "minDamage",
+  "current-dollars": "currentDollars",
+  "include-county-level": "includeCountyLevel",
+  units: "units",
+  "severe-wind": "severeWind",
+  "severe-hail": "severeHail",
+  "severe-tornado": "severeTornado",
+  candidate: "candidate"
+};
+
+const BOOLEAN_OPTIONS = ["current-dollars", "include-county-level", "verbose", "help"];
+const SHORT_OPTIONS = { radius: "r", types: "t", format: "f", output: "o", verbose: "v", help: "h" };
+
+const OPTIONS = Object.fromEntries(
+  [...Object.keys(QUERY_OPTIONS), "format", "output", "verbose", "help"].map((name) => [
+    name,
+    { type: BOOLEAN_OPTIONS.includes(name) ? "boolean" : "string", ...(SHORT_OPTIONS[name] ? { short: SHORT_OPTIONS[name] } : {}) }
+  ])
+);
+
+const args = process.argv.slice(2);
+
+try {
+  if (args.length === 0) {
+    console.error(USAGE);
+    process.exitCode = 2;
+  } else if (args[0] === "cache") {
+    await runCache(args.slice(1));
+  } else if (args[0] === "batch") {
+    await runBatch(readOptions(args.slice(1)));
+  } else {
+    await runSearch(readOptions(args));
+  }
+} catch (err) {
+  console.error(`windreport: ${err.message}`);
+  process.exitCode = 1;
+}
+
+async function runSearch({ positionals, values }) {
+  const query = readQuery(values);
+  if (positionals.length > 0) query.address = positionals.join(" ");
+
+  const format = parseReportFormat(values.format || "txt");
+  if (!format) {
+    return usageError(`Invalid format. Use one of: ${REPORT_FORMATS.join(", ")}.`);
+  }
+
+  const { status, body } = await searchWindstorms(query, () => {}, { logger: createLogger(values.verbose) });
+  if (status === 300) {
+    console.error("Several places match that address. Run again with --candidate <index>:");
+    body.candidates.forEach((candidate) => console.error(`  ${candidate.index}: ${candidate.displayName}`));
+    process.exitCode = 1;
+    return;
+  }
+  if (status !== 200) {
+    console.error(`windreport: ${body.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = await formatReport(body, format);
+  writeOutput(report.body, values.output);
+}
+
+// Search every location in the file with the shared options, then print
+// the combined download. Exits non-zero if any location failed.
+async function runBatch({ positionals, values }) {
+  const [file] = positionals;
+  if (!file) {
+    return usageError("Name a CSV or JSON batch file, or - for stdin.");
+  }
+  const format = values.format || "csv";
+  if (format !== "csv" && format !== "json") {
+    return usageError("Invalid format for a batch. Use csv or json.");
+  }
+
+  const input = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  const contentType = /^\s*[[{]/.test(input) ? "application/json" : "text/csv";
+  const { locations, error } = parseBatchInput(input, contentType);
+  if (error) {
+    return usageError(error);
+  }
+
+  const job = startBatchJob(locations, readQuery(values), { logger: createLogger(values.verbose) });
+  await job.done;
+  writeOutput(formatBatchDownload(job, format).body, values.output);
+
+  const failed = job.items.filter((item) => item.status === "error");
+  for (const item of failed) {
+    console.error(`Location ${item.id} (${item.input}): ${item.error}`);
+  }
+  process.exitCode = failed.length > 0 ? 1 : 0;
+}
+
+async function runCache([command = "status", ...rest]) {
+  if (command === "status") {
+    const status = getCacheStatus();
+    const { type, location, offline } = status.source;
+    console.log(`Source: ${location} (${type}${offline ? ", offline" : ""})`);
+    console.log(`Cache: ${status.cacheDir} (${formatBytes(status.totalBytes)})`);
+    for (const file of status.files) {
+      console.log(`  ${file.filename}  ${formatBytes(file.bytes)}  downloaded ${file.downloadedAt}`);
+    }
+    console.log(`Indexes (current version ${status.indexVersion}):`);
+    for (const index of status.indexes) {
+      const outdated = index.current ? "" : `  (version ${index.version}, rebuilt on next use)`;
+      console.log(`  ${index.year}: ${index.source}, built ${index.builtAt}${outdated}`);
+    }
+  } else if (command === "prefetch") {
+    // Years already indexed from the latest NOAA revision are skipped
+    const startYear = Number(rest[0]) || EARLIEST_YEAR;
+    const endYear = Number(rest[1]) || new Date().getUTCFullYear();
+    let failed = 0;
+    for (let year = startYear; year <= endYear; year++) {
+      try {
+        const manifest = await ensureYearIndex(year, () => {}, { logger: console });
+        console.log(manifest ? `${year}: ${manifest.source}` : `${year}: no details file published`);
+      } catch (err) {
+        failed++;
+        console.error(`${year}: ${err.message}`);
+      }
+    }
+    process.exitCode = failed > 0 ? 1 : 0;
+  } else if (command === "refresh") {
+    const years = parseYearList(rest[0]);
+    if (!years) {
+      return usageError("Invalid years. Use a comma-separated list, e.g. 2023,2024.");
+    }
+
+    const { refreshed, pruned } = await refreshCache(years.length > 0 ? years : null);
+    for (const { year, source, error } of refreshed) {
+      console.log(error ? `${year}: ${error}` : `${year}: ${source || "no details file published"}`);
+    }
+    pruned.forEach((filename) => console.log(`Removed ${filename}`));
+    process.exitCode = refreshed.some((row) => row.error) ? 1 : 0;
+  } else if (command === "prune") {
+    const pruned = pruneCache();
+    pruned.forEach((filename) => console.log(`Removed ${filename}`));
+    console.log(`${pruned.length} file${pruned.length !== 1 ? "s" : ""} removed`);
+  } else {
+    usageError(`Unknown cache command "${command}". Use status, prefetch, refresh or prune.`);
+  }
+}
+
+// Parse search or batch arguments. Prints the usage and exits for --help.
+function readOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    usageError(err.message);
+  }
+  if (parsed.values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  return parsed;
+}
+
+// The search's logging goes to stderr, so stdout carries only the report.
+// Without --verbose only its warnings and errors are shown.
+function createLogger(verbose) {
+  return {
+    log: verbose ? console.error : () => {},
+    warn: console.warn,
+    error: console.error
+  };
+}
+
+function readQuery(values) {
+  const query = {};
+  for (const [option, param] of Object.entries(QUERY_OPTIONS)) {
+    if (values[option] !== undefined) query[param] = String(values[option]);
+  }
+  return query;
+}
+
+function writeOutput(body, output) {
+  if (output) {
+    fs.writeFileSync(output, body);
+    console.error(`Wrote ${output}`);
+  } else {
+    process.stdout.write(body);
+  }
+}
+
+function usageError(message) {
+  console.error(`windreport: ${message}\nRun windreport --help for usage.`);
+  process.exit(2);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+  return bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+}
@@ -0,0 +1,86 @@
+import { findCountyOutlines, findStateOutlines, findCountyBounds } from "./counties.js";
+
+// Base layer of the results map. The web app draws the bundled county and
+// state outlines (us-atlas) as SVG, so the map works without internet
+// access. Set MAP_TILE_URL to an XYZ raster tile template, e.g. a tile server
+// on your network or https://tile.openstreetmap.org/{z}/{x}/{y}.png, to draw
+// tiles under the outlines, with MAP_TILE_ATTRIBUTION as their credit line.
+
+// Widest box, in degrees of longitude or latitude, that outlines are sent for
+const MAX_SPAN_DEGREES = 15;
+
+// Handle a map request for `bbox` ("west,south,east,north"), the bounds of
+// county `fips`, or both together. Returns the HTTP status and response
+// body: the `bbox` covered, the `tiles` layer (null for outlines only) and
+// the `counties` and `states` overlapping it as GeoJSON feature collections.
+export function handleMapRequest(query) {
+  try {
+    const requested = query.bbox ? parseBoundingBox(query.bbox) : null;
+    const countyBox = query.fips ? findCountyBounds(query.fips) : null;
+    if ((query.bbox && !requested) || (query.fips && !countyBox) || (!requested && !countyBox)) {
+      return {
+        status: 400,
+        body: { error: `Pass a bbox of west,south,east,north (at most ${MAX_SPAN_DEGREES} degrees across), a county fips, or both.` }
+      };
+    }
+
+    const box = requested && countyBox
+      ? [
+          Math.min(requested[0], countyBox[0]),
+          Math.min(requested[1], countyBox[1]),
+          Math.max(requested[2], countyBox[2]),
+          Math.max(requested[3], countyBox[3])
+        ]
+      : requested || countyBox;
+
+    return {
+      status: 200,
+      body: {
+        bbox: box,
+        tiles: describeTiles(),
+        counties: toFeatureCollection(findCountyOutlines(box), (county) => ({
+          fips: county.fips,
+          name: county.name,
+          state: county.stateCode
+        })),
+        states: toFeatureCollection(findStateOutlines(box), (state) => ({ fips: state.fips, name: state.name }))
+      }
+    };
+  } catch (err) {
+    console.error("Map error:", err);
+    return { status: 500, body: { error: "Server error. Please try again." } };
+  }
+}
+
+// Read "west,south,east,north". Returns null if it is malformed or too wide.
+export function parseBoundingBox(value) {
+  const box = String(value || "").split(",").map(Number);
+  if (box.length !== 4 || !box.every(Number.isFinite)) return null;
+
+  const [west, south, east, north] = box;
+  if (west >= east || south >= north || west < -180 || east > 180 || south < -90 || north > 90) return null;
+  if (east - west > MAX_SPAN_DEGREES || north - south > MAX_SPAN_DEGREES) return null;
+  return box;
+}
+
+function describeTiles() {
+  const url = process.env.MAP_TILE_URL;
+  return url ? { url, attribution: process.env.MAP_TILE_ATTRIBUTION || null } : null;
+}
+
+// Outlines as GeoJSON MultiPolygons, with coordinates rounded to about 10 m
+function toFeatureCollection(outlines, readProperties) {
+  return {
+    type: "FeatureCollection",
+    features: outlines.map((outline) => ({
+      type: "Feature",
+      properties: readProperties(outline),
+      geometry: {
+        type: "MultiPolygon",
+        coordinates: outline.polygons.map((rings) =>
+          rings.map((ring) => ring.map(([lon, lat]) => [Math.round(lon * 1e4) / 1e4, Math.round(lat * 1e4) / 1e4]))
+        )
+      }
+    }))
+  };
+}
@@ -0,0 +1,303 @@
+import crypto from "crypto";
+import { parse } from "csv-parse/sync";
+import { parseLocationQuery, describeLocation } from "./location.js";
+import { findCountyByPoint, resolveStateFips } from "./counties.js";
+import { geocodeCandidates } from "./geocoders/index.js";
+import { createRecordLoader, MARINE_GROUP } from "./stormIndex.js";
+import { searchWindstorms } from "./windHistory.js";
+import { SILENT_LOGGER } from "./logger.js";
+import { formatCsv } from "./csv.js";
+import { RESULT_CSV_COLUMNS } from "./reportFormats.js";
+
+// Batch reports for a portfolio of locations. A batch runs as a job: its
+// locations are searched one after another, with the search options shared
+// by all of them. The locations are first grouped by state (geocoding the
+// addresses, which the searches then find in the geocode cache), and each
+// state's searches read NOAA records through one createRecordLoader, so a
+// state's year is read once for the whole batch and released when the batch
+// moves on to the next state. Geocoding goes through the providers' rate
+// limits like any other search.
+
+export const MAX_BATCH_LOCATIONS = 1000;
+
+// Finished jobs kept in memory for their status and download
+const MAX_JOBS = 20;
+
+const LOCATION_FIELDS = ["address", "lat", "lon", "fips", "state", "county"];
+
+// Columns of the CSV download: the location and its summary, then the event
+const CSV_COLUMNS = [
+  "locationId",
+  "input",
+  "status",
+  "error",
+  "locationMatchedAddress",
+  "locationCounty",
+  "locationState",
+  "locationFips",
+  "locationAmbiguous",
+  "locationEvents",
+  "locationSevereEvents",
+  "locationMaxWindSpeed",
+  "locationWindUnits",
+  "locationDamageTotalUsd",
+  "locationMissingYears",
+  ...RESULT_CSV_COLUMNS
+];
+
+const jobs = new Map();
+
+// Read a batch upload: CSV with a header row, or JSON, either an array or
+// { locations: [...] }. Each location is an address string or an object
+// with an optional `id` and the search's location fields (address, lat/lon,
+// fips or state/county), up to `maxLocations` of them. Returns { locations }
+// or { error }.
+export function parseBatchInput(body, contentType = "", maxLocations = MAX_BATCH_LOCATIONS) {
+  let items;
+  try {
+    if (/csv|text\/plain/i.test(contentType)) {
+      items = parse(String(body || ""), {
+        columns: (header) => header.map((column) => column.trim()),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true
+      });
+    } else {
+      const data = typeof body === "string" ? JSON.parse(body) : body;
+      items = Array.isArray(data) ? data : data && data.locations;
+    }
+  } catch {
+    return { error: "Could not read the upload. Send CSV with a header row, or JSON." };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "The upload has no locations." };
+  }
+  if (items.length > maxLocations) {
+    return { error: `A batch can have at most ${maxLocations.toLocaleString("en-US")} locations.` };
+  }
+
+  const locations = [];
+  for (const [index, item] of items.entries()) {
+    const fields = typeof item === "string" ? { address: item } : readLocationFields(item || {});
+    if (!parseLocationQuery(fields)) {
+      return { error: `Location ${index + 1} has no address, lat and lon, FIPS code, or state and county.` };
+    }
+    const id = item && item.id !== undefined && item.id !== "" ? String(item.id) : String(index + 1);
+    locations.push({ id, fields });
+  }
+  return { locations };
+}
+
+// Start a job for parsed locations. `options` are the search parameters
+// shared by every location, and `logger` is as for searchWindstorms. The job
+// runs in the background; poll it with getBatchJob, or await its `done`
+// promise.
+export function startBatchJob(locations, options, { logger = SILENT_LOGGER } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: "running",
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    options: withoutLocation(options),
+    items: locations.map(({ id, fields }) => ({
+      id,
+      input: describeLocation(parseLocationQuery(fields)),
+      fields,
+      status: "pending",
+      error: null,
+      summary: null,
+      results: null
+    }))
+  };
+
+  jobs.set(job.id, job);
+  pruneJobs();
+  job.done = runJob(job, logger);
+  return job;
+}
+
+export function getBatchJob(id) {
+  return jobs.get(id) || null;
+}
+
+// A job's progress and per-location summaries, without the events
+export function describeBatchJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    total: job.items.length,
+    completed: job.items.filter((item) => item.status !== "pending").length,
+    failed: job.items.filter((item) => item.status === "error").length,
+    options: job.options,
+    items: job.items.map((item) => ({
+      id: item.id,
+      input: item.input,
+      status: item.status,
+      error: item.error,
+      summary: item.summary
+    }))
+  };
+}
+
+// A job's description with every location's full `results`: the JSON download
+export function describeBatchResults(job) {
+  return {
+    ...describeBatchJob(job),
+    items: job.items.map((item) => ({
+      id: item.id,
+      input: item.input,
+      status: item.status,
+      error: item.error,
+      summary: item.summary,
+      results: item.results
+    }))
+  };
+}
+
+// The combined download: JSON with each location's summary and events, or
+// CSV with one row per event (and one for each location without events),
+// each carrying its location's summary. Returns { contentType, filename,
+// body }, or null for an unknown format.
+export function formatBatchDownload(job, format = "json") {
+  const filename = `windreport-batch-${job.id.slice(0, 8)}`;
+
+  if (format === "json") {
+    return { contentType: "application/json", filename: `${filename}.json`, body: JSON.stringify(describeBatchResults(job), null, 2) };
+  }
+
+  if (format === "csv") {
+    const rows = [];
+    for (const item of job.items) {
+      const location = {
+        locationId: item.id,
+        input: item.input,
+        status: item.status,
+        error: item.error,
+        ...prefixKeys("location", item.summary || {})
+      };
+      const results = item.results || [];
+      if (results.length === 0) rows.push(location);
+      for (const result of results) rows.push({ ...location, ...result });
+    }
+    return { contentType: "text/csv", filename: `${filename}.csv`, body: formatCsv(CSV_COLUMNS, rows) };
+  }
+
+  return null;
+}
+
+async function runJob(job, logger) {
+  const loadRecords = createRecordLoader();
+
+  // Locations whose state is unknown run last, each on its own
+  const states = new Map();
+  for (const item of job.items) {
+    states.set(item, await findItemState(item.fields, logger));
+  }
+  const order = [...job.items].sort((a, b) => (states.get(a) || "99").localeCompare(states.get(b) || "99"));
+
+  let previousState = null;
+  for (const item of order) {
+    // Marine zone groups are shared by radius searches in every state
+    const state = states.get(item);
+    if (state !== previousState || state === null) loadRecords.release([MARINE_GROUP]);
+    previousState = state;
+
+    try {
+      const query = { ...job.options, ...item.fields };
+      // County searches are county-wide, so a batch's radius skips them
+      if (["fips", "county"].includes(parseLocationQuery(item.fields).type)) delete query.radius;
+      let { status, body } = await searchWindstorms(query, () => {}, { loadRecords, logger });
+
+      // An ambiguous address takes its best match, flagged for review
+      let ambiguous = false;
+      if (status === 300) {
+        ambiguous = true;
+        ({ status, body } = await searchWindstorms({ ...query, candidate: "0" }, () => {}, { loadRecords, logger }));
+      }
+
+      if (status !== 200) {
+        item.status = "error";
+        item.error = body.error;
+        continue;
+      }
+      item.status = "done";
+      item.summary = summarizeItem(body, ambiguous);
+      item.results = body.results;
+    } catch (err) {
+      logger.error(`  Batch ${job.id} location ${item.id} failed:`, err.message);
+      item.status = "error";
+      item.error = "Server error.";
+    }
+  }
+
+  job.status = "done";
+  job.finishedAt = new Date().toISOString();
+  logger.log(`  Batch ${job.id} done (${job.items.length} locations)`);
+}
+
+// Two-digit state FIPS code of a location, for ordering the batch; null if
+// it cannot be told before the search
+async function findItemState(fields, logger) {
+  try {
+    const location = parseLocationQuery(fields);
+    if (location.type === "fips") return location.fips.slice(0, 2);
+    if (location.type === "county") return resolveStateFips(location.state);
+    if (location.type === "point") return findCountyByPoint(location.lat, location.lon)?.stateFips || null;
+
+    const [candidate] = await geocodeCandidates(location.address, { logger });
+    return candidate ? findCountyByPoint(candidate.lat, candidate.lon)?.stateFips || resolveStateFips(candidate.stateCode || candidate.state) : null;
+  } catch {
+    return null;
+  }
+}
+
+function summarizeItem(body, ambiguous) {
+  const windSpeeds = body.results.map((result) => result.windSpeed).filter(Number.isFinite);
+  return {
+    matchedAddress: body.address,
+    county: body.county,
+    state: body.state,
+    fips: body.fips ? body.fips.code : null,
+    ambiguous,
+    events: body.results.length,
+    severeEvents: body.results.filter((result) => result.severe).length,
+    maxWindSpeed: windSpeeds.length > 0 ? Math.max(...windSpeeds) : null,
+    windUnits: body.units,
+    damageTotalUsd: body.damage.total,
+    missingYears: body.missingYears
+  };
+}
+
+function readLocationFields(item) {
+  const fields = {};
+  for (const name of LOCATION_FIELDS) {
+    if (item[name] !== undefined && item[name] !== null && item[name] !== "") {
+      fields[name] = String(item[name]);
+    }
+  }
+  return fields;
+}
+
+// Search options from the batch request, less any location of its own
+function withoutLocation(options) {
+  const rest = { ...options };
+  for (const name of [...LOCATION_FIELDS, "candidate"]) delete rest[name];
+  return rest;
+}
+
+function prefixKeys(prefix, object) {
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [`${prefix}${key[0].toUpperCase()}${key.slice(1)}`, value])
+  );
+}
+
+// Drop the oldest finished jobs beyond MAX_JOBS
+function pruneJobs() {
+  const finished = [...jobs.values()].filter((job) => job.status === "done");
+  for (const job of finished.slice(0, Math.max(0, jobs.size - MAX_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import { CACHE_DIR, listCachedFiles, pruneCache, describeSource } from "./noaaFiles.js";
+import { INDEX_VERSION, ensureYearIndex, listYearIndexes } from "./stormIndex.js";
+import { EARLIEST_YEAR } from "./dateRange.js";
+
+// Maintenance of the local NOAA cache, shared by the admin endpoints and
+// the windreport CLI. The endpoints are disabled unless ADMIN_TOKEN is set,
+// and then require it as a bearer token.
+
+// Handle an admin request: `action` is "status" or "refresh" (with an
+// optional `years` list in the query). Resolves to the HTTP status and
+// response body.
+export async function handleCacheAdmin(action, query, authorization) {
+  if (!process.env.ADMIN_TOKEN) {
+    return { status: 404, body: { error: "Cache administration is disabled. Set ADMIN_TOKEN to enable it." } };
+  }
+  if (!isAdminAuthorized(authorization)) {
+    return { status: 401, body: { error: "Missing or invalid admin token." } };
+  }
+
+  try {
+    if (action === "status") {
+      return { status: 200, body: getCacheStatus() };
+    }
+    if (action === "refresh") {
+      const years = parseYearList(query.years);
+      if (!years) {
+        return { status: 400, body: { error: `Invalid years. Use a comma-separated list of years from ${EARLIEST_YEAR}.` } };
+      }
+      return { status: 200, body: await refreshCache(years.length > 0 ? years : null) };
+    }
+    return { status: 404, body: { error: "Unknown cache action." } };
+  } catch (err) {
+    console.error("Cache admin error:", err);
+    return { status: 500, body: { error: err.message || "Internal server error" } };
+  }
+}
+
+// What is cached: the downloaded NOAA files and the per-year indexes
+export function getCacheStatus() {
+  const files = listCachedFiles();
+  return {
+    source: describeSource(),
+    cacheDir: CACHE_DIR,
+    indexVersion: INDEX_VERSION,
+    totalBytes: files.reduce((sum, file) => sum + file.bytes, 0),
+    files,
+    indexes: listYearIndexes()
+  };
+}
+
+// Force a refresh of the given years (default: every year with a cached
+// file or index): re-read the NOAA listing, download the latest revisions
+// and rebuild the indexes, then prune superseded files. One year failing
+// does not stop the others.
+export async function refreshCache(years = null) {
+  const targets = years || cachedYears();
+  const refreshed = [];
+
+  for (const year of targets) {
+    try {
+      const manifest = await ensureYearIndex(year, () => {}, { force: true, logger: console });
+      refreshed.push({ year, source: manifest ? manifest.source : null, error: null });
+    } catch (err) {
+      console.error(`  Error refreshing ${year}:`, err.message);
+      refreshed.push({ year, source: null, error: err.message });
+    }
+  }
+
+  return { refreshed, pruned: pruneCache() };
+}
+
+// Read a comma-separated `years` list. Returns [] for none, or null if any
+// year is invalid.
+export function parseYearList(value) {
+  const parts = String(value || "").split(",").map((part) => part.trim()).filter(Boolean);
+  const years = parts.map(Number);
+  const latest = new Date().getUTCFullYear();
+  if (years.some((year) => !Number.isInteger(year) || year < EARLIEST_YEAR || year > latest)) {
+    return null;
+  }
+  return [...new Set(years)];
+}
+
+// Whether a request's Authorization header carries ADMIN_TOKEN. Always false
+// when no token is configured.
+export function isAdminAuthorized(authorization) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return false;
+
+  const given = Buffer.from(String(authorization || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function cachedYears() {
+  const years = new Set([
+    ...listCachedFiles().map((file) => file.year),
+    ...listYearIndexes().map((index) => index.year)
+  ]);
+  return [...years].sort((a, b) => b - a);
+}
@@ -0,0 +1,261 @@
+import fs from "fs";
+import { createRequire } from "module";
+import { feature } from "topojson-client";
+
+const require = createRequire(import.meta.url);
+
+// County boundaries and FIPS codes come from the us-atlas package (Census
+// cartographic boundary files, 1:10m). Loaded lazily on first lookup.
+const COUNTIES_TOPOJSON = require.resolve("us-atlas/counties-10m.json");
+
+// State FIPS code -> name and USPS code
+export const STATES = {
+  "01": { name: "Alabama", code: "AL" },
+  "02": { name: "Alaska", code: "AK" },
+  "04": { name: "Arizona", code: "AZ" },
+  "05": { name: "Arkansas", code: "AR" },
+  "06": { name: "California", code: "CA" },
+  "08": { name: "Colorado", code: "CO" },
+  "09": { name: "Connecticut", code: "CT" },
+  "10": { name: "Delaware", code: "DE" },
+  "11": { name: "District of Columbia", code: "DC" },
+  "12": { name: "Florida", code: "FL" },
+  "13": { name: "Georgia", code: "GA" },
+  "15": { name: "Hawaii", code: "HI" },
+  "16": { name: "Idaho", code: "ID" },
+  "17": { name: "Illinois", code: "IL" },
+  "18": { name: "Indiana", code: "IN" },
+  "19": { name: "Iowa", code: "IA" },
+  "20": { name: "Kansas", code: "KS" },
+  "21": { name: "Kentucky", code: "KY" },
+  "22": { name: "Louisiana", code: "LA" },
+  "23": { name: "Maine", code: "ME" },
+  "24": { name: "Maryland", code: "MD" },
+  "25": { name: "Massachusetts", code: "MA" },
+  "26": { name: "Michigan", code: "MI" },
+  "27": { name: "Minnesota", code: "MN" },
+  "28": { name: "Mississippi", code: "MS" },
+  "29": { name: "Missouri", code: "MO" },
+  "30": { name: "Montana", code: "MT" },
+  "31": { name: "Nebraska", code: "NE" },
+  "32": { name: "Nevada", code: "NV" },
+  "33": { name: "New Hampshire", code: "NH" },
+  "34": { name: "New Jersey", code: "NJ" },
+  "35": { name: "New Mexico", code: "NM" },
+  "36": { name: "New York", code: "NY" },
+  "37": { name: "North Carolina", code: "NC" },
+  "38": { name: "North Dakota", code: "ND" },
+  "39": { name: "Ohio", code: "OH" },
+  "40": { name: "Oklahoma", code: "OK" },
+  "41": { name: "Oregon", code: "OR" },
+  "42": { name: "Pennsylvania", code: "PA" },
+  "44": { name: "Rhode Island", code: "RI" },
+  "45": { name: "South Carolina", code: "SC" },
+  "46": { name: "South Dakota", code: "SD" },
+  "47": { name: "Tennessee", code: "TN" },
+  "48": { name: "Texas", code: "TX" },
+  "49": { name: "Utah", code: "UT" },
+  "50": { name: "Vermont", code: "VT" },
+  "51": { name: "Virginia", code: "VA" },
+  "53": { name: "Washington", code: "WA" },
+  "54": { name: "West Virginia", code: "WV" },
+  "55": { name: "Wisconsin", code: "WI" },
+  "56": { name: "Wyoming", code: "WY" },
+  "60": { name: "American Samoa", code: "AS" },
+  "66": { name: "Guam", code: "GU" },
+  "69": { name: "Northern Mariana Islands", code: "MP" },
+  "72": { name: "Puerto Rico", code: "PR" },
+  "78": { name: "Virgin Islands", code: "VI" }
+};
+
+let topology = null;
+let counties = null;
+let states = null;
+
+function loadTopology() {
+  if (!topology) topology = JSON.parse(fs.readFileSync(COUNTIES_TOPOJSON, "utf8"));
+  return topology;
+}
+
+function loadCounties() {
+  if (counties) return counties;
+
+  const atlas = loadTopology();
+  const collection = feature(atlas, atlas.objects.counties);
+
+  counties = collection.features.map((f) => {
+    const fips = String(f.id).padStart(5, "0");
+    const stateFips = fips.slice(0, 2);
+    const polygons = f.geometry.type === "MultiPolygon" ? f.geometry.coordinates : [f.geometry.coordinates];
+    return {
+      fips,
+      stateFips,
+      countyFips: fips.slice(2),
+      name: withCitySuffix(f.properties.name, fips),
+      state: STATES[stateFips]?.name || null,
+      stateCode: STATES[stateFips]?.code || null,
+      polygons,
+      bbox: boundingBox(polygons)
+    };
+  });
+  return counties;
+}
+
+function loadStates() {
+  if (states) return states;
+
+  const atlas = loadTopology();
+  const collection = feature(atlas, atlas.objects.states);
+  states = collection.features.map((f) => {
+    const polygons = f.geometry.type === "MultiPolygon" ? f.geometry.coordinates : [f.geometry.coordinates];
+    return { fips: String(f.id).padStart(2, "0"), name: f.properties.name, polygons, bbox: boundingBox(polygons) };
+  });
+  return states;
+}
+
+// us-atlas drops the Census "city" suffix, so St. Louis city and St. Louis
+// County are both "St. Louis". Independent cities (Virginia's, Baltimore,
+// St. Louis and Carson City) have county codes from 510 up.
+function withCitySuffix(name, fips) {
+  return Number(fips.slice(2)) >= 510 && !/\bcity$/i.test(name) ? `${name} city` : name;
+}
+
+function toCountyRecord(county) {
+  const { polygons, bbox, ...record } = county;
+  return record;
+}
+
+// Find the county containing a point. Returns null for points outside
+// every county (offshore, or outside the US).
+export function findCountyByPoint(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+  for (const county of loadCounties()) {
+    const [minLon, minLat, maxLon, maxLat] = county.bbox;
+    if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) continue;
+    if (county.polygons.some((rings) => pointInPolygon(lon, lat, rings))) {
+      return toCountyRecord(county);
+    }
+  }
+  return null;
+}
+
+export function findCountyByFips(fips) {
+  const code = String(fips || "").padStart(5, "0");
+  const county = loadCounties().find((c) => c.fips === code);
+  return county ? toCountyRecord(county) : null;
+}
+
+// Boundaries for the results map: the counties and states overlapping a
+// [west, south, east, north] box, each with its `polygons` ([lon, lat] rings)
+export function findCountyOutlines(box) {
+  return loadCounties().filter((county) => boxesOverlap(county.bbox, box)).map(({ bbox, ...county }) => county);
+}
+
+export function findStateOutlines(box) {
+  return loadStates().filter((state) => boxesOverlap(state.bbox, box)).map(({ bbox, ...state }) => state);
+}
+
+// A county's [west, south, east, north] bounding box, or null
+export function findCountyBounds(fips) {
+  const code = String(fips || "").padStart(5, "0");
+  const county = loadCounties().find((c) => c.fips === code);
+  return county ? county.bbox : null;
+}
+
+// Find a county by exact (normalized) name within a state. `state` may be
+// a state name, USPS code or FIPS code. Independent cities need their "city"
+// suffix ("St. Louis city", or "City of St. Louis") where a county shares
+// the name; a bare "St. Louis" is the county. Returns null if the name is not
+// unique in the state.
+export function findCountyByName(state, countyName) {
+  const stateFips = resolveStateFips(state);
+  const target = normalizeCountyName(countyName);
+  if (!stateFips || !target) return null;
+
+  const named = (name) => loadCounties().filter(
+    (county) => county.stateFips === stateFips && normalizeCountyName(county.name) === name
+  );
+  // A bare name also finds a city no county shares it with, e.g. "Norfolk"
+  let matches = named(target);
+  if (matches.length === 0 && !/ city$/.test(target)) matches = named(`${target} city`);
+  return matches.length === 1 ? toCountyRecord(matches[0]) : null;
+}
+
+export function resolveStateFips(state) {
+  if (!state) return null;
+  const value = String(state).trim();
+  if (/^\d{1,2}$/.test(value)) {
+    const fips = value.padStart(2, "0");
+    return STATES[fips] ? fips : null;
+  }
+  const lower = value.toLowerCase();
+  const entry = Object.entries(STATES).find(
+    ([, info]) => info.code.toLowerCase() === lower || info.name.toLowerCase() === lower
+  );
+  return entry ? entry[0] : null;
+}
+
+function normalizeCountyName(value) {
+  if (!value) return "";
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/^city of\s+(.+)$/, "$1 city")
+    .replace(/\s+(county|parish|borough|census area|municipality|city and borough)$/i, "")
+    .replace(/\bsaint\b/g, "st")
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function boundingBox(polygons) {
+  let minLon = Infinity;
+  let minLat = Infinity;
+  let maxLon = -Infinity;
+  let maxLat = -Infinity;
+  for (const rings of polygons) {
+    for (const [lon, lat] of rings[0]) {
+      if (lon < minLon) minLon = lon;
+      if (lon > maxLon) maxLon = lon;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    }
+  }
+  return [minLon, minLat, maxLon, maxLat];
+}
+
+function boxesOverlap([minLon, minLat, maxLon, maxLat], [west, south, east, north]) {
+  return minLon <= east && maxLon >= west && minLat <= north && maxLat >= south;
+}
+
+// Even-odd ray casting; the first ring is the outer boundary, the rest are holes
+function pointInPolygon(x, y, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+// Resolve a geocoded location to a county FIPS record. Prefers a FIPS code
+// from the geocoder itself, then the boundary containing the point, then the
+// geocoder's county name.
+export function resolveCounty(geo) {
+  const byFips = geo.countyFips ? findCountyByFips(geo.countyFips) : null;
+  if (byFips) return { ...byFips, method: "geocoder" };
+
+  const byPoint = findCountyByPoint(geo.lat, geo.lon);
+  if (byPoint) return { ...byPoint, method: "point" };
+
+  const byName = findCountyByName(geo.stateCode || geo.state, geo.county);
+  if (byName) return { ...byName, method: "name" };
+
+  return null;
+}
@@ -0,0 +1,20 @@
+// Write rows of objects as CSV under the given columns. Missing values are
+// left empty.
+export function formatCsv(columns, rows) {
+  const lines = [columns.map(formatCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Text that a spreadsheet would run as a formula is quoted with an
+  // apostrophe; numbers (e.g. a negative longitude) are left alone
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
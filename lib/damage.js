@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Annual-average CPI-U from BLS, used to restate damage in current dollars.
+// Add each year's average to the table once BLS publishes it.
+const CPI_TABLE_PATH = path.join(__dirname, "..", "reference", "cpi-u.json");
+
+const DAMAGE_MULTIPLIERS = { "": 1, K: 1e3, M: 1e6, B: 1e9 };
+
+export const DAMAGE_SORTS = ["date", "damage"];
+
+let cpiTable = null;
+
+function loadCpiTable() {
+  if (cpiTable) return cpiTable;
+  const { annual } = JSON.parse(fs.readFileSync(CPI_TABLE_PATH, "utf8"));
+  cpiTable = new Map(Object.entries(annual).map(([year, value]) => [Number(year), value]));
+  return cpiTable;
+}
+
+// Latest year in the CPI table; adjusted amounts are in this year's dollars
+export function getCpiDollarYear() {
+  return Math.max(...loadCpiTable().keys());
+}
+
+// Restate an amount from `year` dollars in `dollarYear` dollars. Years
+// outside the table are clamped to its first and last years.
+export function adjustForInflation(amount, year, dollarYear) {
+  const table = loadCpiTable();
+  const years = [...table.keys()];
+  const clamp = (y) => Math.min(Math.max(y, Math.min(...years)), Math.max(...years));
+  return Math.round((amount * table.get(clamp(dollarYear))) / table.get(clamp(year)));
+}
+
+// NOAA damage estimates are strings like "10.00K", "1.5M" or "2B". Returns
+// whole dollars, or null when no estimate was published.
+export function parseDamageAmount(value) {
+  const match = /^\s*(\d*\.?\d+)\s*([KMB]?)\s*$/i.exec(String(value || ""));
+  if (!match) return null;
+  return Math.round(Number(match[1]) * DAMAGE_MULTIPLIERS[match[2].toUpperCase()]);
+}
+
+// Parse an event's published damage into { property, crops, total } dollars,
+// with null for amounts NOAA did not estimate. With `dollarYear`, amounts
+// are restated from the event's year in that year's dollars.
+export function readDamage(details, eventYear, dollarYear = null) {
+  const adjust = (amount) =>
+    amount !== null && dollarYear ? adjustForInflation(amount, eventYear, dollarYear) : amount;
+
+  const property = adjust(parseDamageAmount(details.damageProperty));
+  const crops = adjust(parseDamageAmount(details.damageCrops));
+  const total = property === null && crops === null ? null : (property || 0) + (crops || 0);
+  return { property, crops, total };
+}
+
+// Read the `sort`, `minDamage` and `currentDollars` query parameters.
+// Returns null if any is invalid.
+export function parseDamageQuery(query) {
+  const sort = String(query.sort || "date").trim().toLowerCase();
+  if (!DAMAGE_SORTS.includes(sort)) return null;
+
+  const minDamage = query.minDamage === undefined || query.minDamage === "" ? null : Number(query.minDamage);
+  if (minDamage !== null && (!Number.isFinite(minDamage) || minDamage < 0)) return null;
+
+  const currentDollars = ["1", "true", "yes"].includes(String(query.currentDollars || "").toLowerCase());
+  return { sort, minDamage, dollarYear: currentDollars ? getCpiDollarYear() : null };
+}
+
+// Damage totals for the query area, by year and by event type. Each total
+// is { property, crops, total, events }, where `events` counts every event
+// and unestimated amounts count as zero.
+export function summarizeDamage(events) {
+  const overall = emptyTotals();
+  const byYear = new Map();
+  const byEventType = new Map();
+
+  for (const event of events) {
+    const year = event.date.getUTCFullYear();
+    if (!byYear.has(year)) byYear.set(year, emptyTotals());
+    if (!byEventType.has(event.eventType)) byEventType.set(event.eventType, emptyTotals());
+
+    for (const totals of [overall, byYear.get(year), byEventType.get(event.eventType)]) {
+      totals.property += event.damage.property || 0;
+      totals.crops += event.damage.crops || 0;
+      totals.total += event.damage.total || 0;
+      totals.events++;
+    }
+  }
+
+  return {
+    ...overall,
+    byYear: [...byYear].sort(([a], [b]) => a - b).map(([year, totals]) => ({ year, ...totals })),
+    byEventType: [...byEventType]
+      .sort(([, a], [, b]) => b.total - a.total)
+      .map(([eventType, totals]) => ({ eventType, ...totals }))
+  };
+}
+
+function emptyTotals() {
+  return { property: 0, crops: 0, total: 0, events: 0 };
+}
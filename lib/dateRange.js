@@ -0,0 +1,80 @@
+// NOAA Storm Events details files start in 1950
+export const EARLIEST_YEAR = 1950;
+export const DEFAULT_YEARS = 10;
+
+const DAY_MS = 86400000;
+
+// Build the search window from the query string. Accepts either explicit
+// `start`/`end` dates (YYYY-MM-DD, MM/DD/YYYY or a bare YYYY) or a `years`
+// count back from today. Returns null if the range is invalid.
+export function parseDateRange(query = {}) {
+  const today = new Date();
+  const todayUtc = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const earliest = new Date(Date.UTC(EARLIEST_YEAR, 0, 1));
+
+  const startInput = String(query.start || "").trim();
+  const endInput = String(query.end || "").trim();
+
+  let start;
+  let end;
+
+  if (startInput || endInput) {
+    start = startInput ? parseInputDate(startInput, "start") : null;
+    end = endInput ? parseInputDate(endInput, "end") : todayUtc;
+    if ((startInput && !start) || !end) return null;
+
+    if (!start) {
+      start = new Date(end);
+      start.setUTCFullYear(start.getUTCFullYear() - DEFAULT_YEARS);
+    }
+  } else {
+    const years = query.years === undefined || query.years === "" ? DEFAULT_YEARS : Number(query.years);
+    if (!Number.isFinite(years) || years <= 0) return null;
+
+    end = todayUtc;
+    start = new Date(todayUtc);
+    start.setUTCFullYear(start.getUTCFullYear() - Math.floor(years));
+  }
+
+  if (start < earliest) start = earliest;
+  if (start > end) return null;
+
+  return {
+    start,
+    // Inclusive of the whole end day
+    end: new Date(end.getTime() + DAY_MS - 1)
+  };
+}
+
+export function parseInputDate(value, edge = "start") {
+  let year;
+  let month;
+  let day;
+
+  const yearOnly = value.match(/^(\d{4})$/);
+  const isoMatch = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const slashMatch = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+
+  if (yearOnly) {
+    year = Number(yearOnly[1]);
+    month = edge === "start" ? 1 : 12;
+    day = edge === "start" ? 1 : 31;
+  } else if (isoMatch) {
+    [, year, month, day] = isoMatch.map(Number);
+  } else if (slashMatch) {
+    [, month, day, year] = slashMatch.map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject rollovers such as 02/31
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+export function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
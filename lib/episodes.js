@@ -0,0 +1,43 @@
+// NOAA groups the reports from one storm system into an episode
+// (EPISODE_ID). Group events by episode, in the order the events are given,
+// with each episode's dates, report count, peak wind, largest hail and total
+// damage. Events without an episode ID form an episode of their own.
+export function groupEpisodes(events) {
+  const episodes = new Map();
+
+  for (const event of events) {
+    const episodeId = event.details.episodeId;
+    const key = episodeId !== null ? `episode-${episodeId}` : `event-${event.details.eventId}-${episodes.size}`;
+    if (!episodes.has(key)) {
+      episodes.set(key, {
+        episodeId,
+        start: event.date,
+        end: event.date,
+        events: [],
+        eventTypes: new Set(),
+        peakWindMph: null,
+        maxHailInches: null,
+        damageTotal: null
+      });
+    }
+
+    const episode = episodes.get(key);
+    episode.events.push(event);
+    episode.eventTypes.add(event.eventType);
+    if (event.date < episode.start) episode.start = event.date;
+    if (event.date > episode.end) episode.end = event.date;
+
+    const { windSpeedMph, hailSizeInches } = event.measurement;
+    if (Number.isFinite(windSpeedMph) && (episode.peakWindMph === null || windSpeedMph > episode.peakWindMph)) {
+      episode.peakWindMph = windSpeedMph;
+    }
+    if (Number.isFinite(hailSizeInches) && (episode.maxHailInches === null || hailSizeInches > episode.maxHailInches)) {
+      episode.maxHailInches = hailSizeInches;
+    }
+    if (event.damage && event.damage.total !== null) {
+      episode.damageTotal = (episode.damageTotal || 0) + event.damage.total;
+    }
+  }
+
+  return [...episodes.values()];
+}
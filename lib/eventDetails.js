@@ -0,0 +1,44 @@
+// Fields from a NOAA details record beyond the date, type, area and
+// magnitude. Narratives can run to several paragraphs, so search results
+// leave them out and the event detail endpoint asks for them (the records
+// searches read do not carry them; see findEventRecord).
+//
+// Damage is kept as published (e.g. "10.00K"); casualty counts are split
+// into direct and indirect as NOAA reports them.
+export function readEventDetails(record, { narratives = false } = {}) {
+  const details = {
+    eventId: toInteger(record.EVENT_ID),
+    episodeId: toInteger(record.EPISODE_ID),
+    source: toText(record.SOURCE),
+    damageProperty: toText(record.DAMAGE_PROPERTY),
+    damageCrops: toText(record.DAMAGE_CROPS),
+    injuriesDirect: toInteger(record.INJURIES_DIRECT),
+    injuriesIndirect: toInteger(record.INJURIES_INDIRECT),
+    deathsDirect: toInteger(record.DEATHS_DIRECT),
+    deathsIndirect: toInteger(record.DEATHS_INDIRECT),
+    beginLat: toNumber(record.BEGIN_LAT),
+    beginLon: toNumber(record.BEGIN_LON),
+    endLat: toNumber(record.END_LAT),
+    endLon: toNumber(record.END_LON)
+  };
+
+  if (narratives) {
+    details.eventNarrative = toText(record.EVENT_NARRATIVE);
+    details.episodeNarrative = toText(record.EPISODE_NARRATIVE);
+  }
+  return details;
+}
+
+function toText(value) {
+  return String(value || "").trim() || null;
+}
+
+function toInteger(value) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toNumber(value) {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
@@ -0,0 +1,103 @@
+// NOAA Storm Events times are local to the event's county or zone, with the
+// timezone given separately in CZ_TIMEZONE: "CST-6" (UTC-6) in recent
+// files, just "CST" in older ones. Read the begin and end times together
+// with the timezone so results can give exact timestamps.
+
+const MONTHS = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
+
+// UTC offsets in hours for timezones published without one
+const TIMEZONE_OFFSETS = {
+  AST: -4,
+  EST: -5,
+  EDT: -4,
+  CST: -6,
+  CDT: -5,
+  MST: -7,
+  MDT: -6,
+  PST: -8,
+  PDT: -7,
+  AKST: -9,
+  AKDT: -8,
+  HST: -10,
+  SST: -11,
+  GST: 10
+};
+
+const HOUR_MS = 3600000;
+
+// Read a record's begin and end times. `date` is the local calendar date the
+// event began, as a UTC midnight like the search range; `instant` is the
+// exact moment it began (taken as UTC when the timezone is unknown), for
+// ordering. `beginTime` and `endTime` are ISO-8601 local times with the UTC
+// offset, or without one when the timezone is unknown. Returns null without
+// a readable begin date.
+export function readEventTimes(record) {
+  const begin = parseNoaaDateTime(record.BEGIN_DATE_TIME || record.BEGIN_DATE);
+  if (!begin) return null;
+  const end = parseNoaaDateTime(record.END_DATE_TIME);
+
+  const timezone = String(record.CZ_TIMEZONE || "").trim().toUpperCase() || null;
+  const offset = parseTimezoneOffset(timezone);
+
+  return {
+    date: new Date(Date.UTC(begin.year, begin.month, begin.day)),
+    instant: new Date(localToUtc(begin) - (offset ?? 0) * HOUR_MS),
+    beginTime: formatLocalTime(begin, offset),
+    endTime: end ? formatLocalTime(end, offset) : null,
+    timezone
+  };
+}
+
+// Parse "DD-MON-YY HH:MM:SS" or "MM/DD/YYYY HH:MM:SS" into local date and
+// time fields. A missing time reads as midnight.
+export function parseNoaaDateTime(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const time = readTime(str);
+
+  const slashMatch = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (slashMatch) {
+    const [, month, day, year] = slashMatch.map(Number);
+    return { year, month: month - 1, day, ...time };
+  }
+
+  const dashMatch = str.match(/^(\d{1,2})-([A-Z]{3})-(\d{2,4})/i);
+  if (dashMatch) {
+    const [, day, monthStr, yearStr] = dashMatch;
+    const month = MONTHS[monthStr.toUpperCase()];
+    let year = Number(yearStr);
+    // Detail files go back to 1950, so two-digit years pivot at 50
+    if (year < 100) year += year < 50 ? 2000 : 1900;
+    if (month !== undefined) {
+      return { year, month, day: Number(day), ...time };
+    }
+  }
+
+  return null;
+}
+
+// UTC offset in hours for a CZ_TIMEZONE value, or null if unrecognized
+export function parseTimezoneOffset(timezone) {
+  const match = /^([A-Z]*)\s*([+-]?\d{1,2})?$/i.exec(String(timezone || "").trim());
+  if (!match) return null;
+  if (match[2] !== undefined) return Number(match[2]);
+  return TIMEZONE_OFFSETS[match[1].toUpperCase()] ?? null;
+}
+
+function readTime(str) {
+  const match = str.match(/\s(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return { hour: 0, minute: 0, second: 0 };
+  return { hour: Number(match[1]), minute: Number(match[2]), second: Number(match[3] || 0) };
+}
+
+function localToUtc({ year, month, day, hour, minute, second }) {
+  return Date.UTC(year, month, day, hour, minute, second);
+}
+
+function formatLocalTime(fields, offset) {
+  // Through Date to normalize the fields, e.g. a 24:00 end time
+  const local = new Date(localToUtc(fields)).toISOString().slice(0, 19);
+  if (offset === null) return local;
+  const sign = offset < 0 ? "-" : "+";
+  return `${local}${sign}${String(Math.abs(offset)).padStart(2, "0")}:00`;
+}
@@ -0,0 +1,108 @@
+export const WIND_EVENT_TYPES = new Set([
+  "High Wind",
+  "Thunderstorm Wind",
+  "Marine Thunderstorm Wind",
+  "Marine High Wind",
+  "Strong Wind",
+  "Marine Strong Wind",
+  "Tropical Storm",
+  "Marine Tropical Storm",
+  "Hurricane",
+  "Hurricane (Typhoon)",
+  "Marine Hurricane/Typhoon"
+]);
+
+export const HAIL_EVENT_TYPES = new Set([
+  "Hail",
+  "Marine Hail"
+]);
+
+export const TORNADO_EVENT_TYPES = new Set([
+  "Tornado"
+]);
+
+// "other" covers every remaining NOAA event type (flood, lightning, winter storm, ...)
+export const EVENT_CATEGORIES = ["wind", "hail", "tornado", "other"];
+export const DEFAULT_EVENT_CATEGORIES = ["wind"];
+
+export function categorizeEventType(eventType) {
+  if (WIND_EVENT_TYPES.has(eventType)) return "wind";
+  if (HAIL_EVENT_TYPES.has(eventType)) return "hail";
+  if (TORNADO_EVENT_TYPES.has(eventType)) return "tornado";
+  return "other";
+}
+
+// Parse the comma-separated `eventTypes` query value into a set of
+// categories. Returns null if it names an unknown category.
+export function parseEventCategories(value) {
+  const names = String(value || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    return new Set(DEFAULT_EVENT_CATEGORIES);
+  }
+  if (!names.every((name) => EVENT_CATEGORIES.includes(name))) {
+    return null;
+  }
+  return new Set(names);
+}
+
+// NOAA MAGNITUDE_TYPE codes for wind: every one is a speed in knots
+const WIND_MAGNITUDE_TYPES = {
+  EG: { windMeasurement: "estimated", windSpeedType: "gust" },
+  ES: { windMeasurement: "estimated", windSpeedType: "sustained" },
+  MG: { windMeasurement: "measured", windSpeedType: "gust" },
+  MS: { windMeasurement: "measured", windSpeedType: "sustained" }
+};
+
+const MPH_PER_KNOT = 1.15078;
+
+// Read the category-specific magnitude fields from a NOAA details record.
+// Wind records without a speed are kept, flagged with `magnitudeMissing`.
+export function readMeasurement(record, category) {
+  if (category === "wind") {
+    // NOAA publishes every wind MAGNITUDE in knots, whatever the MAGNITUDE_TYPE
+    const knots = Number.parseFloat(record.MAGNITUDE);
+    const magnitudeType = (record.MAGNITUDE_TYPE || "").trim().toUpperCase() || null;
+    const reported = Number.isFinite(knots) && knots > 0;
+
+    return {
+      windSpeedMph: reported ? Math.round(knots * MPH_PER_KNOT) : null,
+      windSpeedKnots: reported ? knots : null,
+      windSpeedType: WIND_MAGNITUDE_TYPES[magnitudeType]?.windSpeedType || null,
+      windMeasurement: WIND_MAGNITUDE_TYPES[magnitudeType]?.windMeasurement || null,
+      magnitudeType,
+      magnitudeMissing: !reported
+    };
+  }
+
+  if (category === "hail") {
+    // Hail MAGNITUDE is the stone diameter in inches
+    const size = Number.parseFloat(record.MAGNITUDE);
+    return { hailSizeInches: Number.isFinite(size) && size > 0 ? size : null };
+  }
+
+  if (category === "tornado") {
+    // TOR_F_SCALE is "F0".."F5" before Feb 2007 and "EF0".."EF5" (or "EFU") after
+    const length = Number.parseFloat(record.TOR_LENGTH);
+    const width = Number.parseFloat(record.TOR_WIDTH);
+    return {
+      tornadoScale: (record.TOR_F_SCALE || "").trim().toUpperCase() || null,
+      tornadoLengthMiles: Number.isFinite(length) ? length : null,
+      tornadoWidthYards: Number.isFinite(width) ? width : null
+    };
+  }
+
+  const magnitude = Number.parseFloat(record.MAGNITUDE);
+  return {
+    magnitude: Number.isFinite(magnitude) ? magnitude : null,
+    magnitudeType: (record.MAGNITUDE_TYPE || "").trim().toUpperCase() || null
+  };
+}
+
+// Comparable value used to tell apart reports on the same day
+export function measurementKey(measurement) {
+  return Object.values(measurement).join("/");
+}
@@ -0,0 +1,50 @@
+// US Census Bureau geocoder: https://geocoding.geo.census.gov/geocoder/
+// Matches street addresses only, but returns the county FIPS code directly.
+export const name = "census";
+// No published limit; keep large batches from hammering the service
+export const minIntervalMs = 200;
+
+const CENSUS_URL = "https://geocoding.geo.census.gov/geocoder/geographies/onelineaddress";
+
+export async function geocode(address) {
+  const url = new URL(CENSUS_URL);
+  url.searchParams.set("address", address);
+  url.searchParams.set("benchmark", "Public_AR_Current");
+  url.searchParams.set("vintage", "Current_Current");
+  url.searchParams.set("format", "json");
+
+  const response = await fetch(url, {
+    headers: {
+      "User-Agent": "WindReport/2.0 (NOAA Storm Events Lookup)"
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Census geocoder returned HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const matches = data?.result?.addressMatches;
+  if (!Array.isArray(matches)) {
+    return [];
+  }
+  return matches.map(toCandidate);
+}
+
+function toCandidate(match) {
+  const geographies = match.geographies || {};
+  const county = (geographies.Counties || [])[0] || null;
+  const state = (geographies.States || [])[0] || null;
+
+  return {
+    displayName: match.matchedAddress,
+    lat: Number(match.coordinates.y),
+    lon: Number(match.coordinates.x),
+    county: county ? county.BASENAME || county.NAME : null,
+    state: state ? state.NAME : null,
+    stateCode: state ? state.STUSAB : match.addressComponents?.state || null,
+    countyFips: county ? county.GEOID || `${county.STATE}${county.COUNTY}` : null,
+    // Census points are interpolated along the street's address range
+    precision: "street"
+  };
+}
@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import { CACHE_DIR } from "../noaaFiles.js";
+import { findCountyByPoint } from "../counties.js";
+import * as nominatim from "./nominatim.js";
+import * as census from "./census.js";
+import * as offline from "./offline.js";
+import { SILENT_LOGGER } from "../logger.js";
+
+// A geocoder provider exports `name` and `geocode(address)`, which resolves
+// to a best-first list of candidates, each
+// { displayName, lat, lon, county, state, stateCode, countyFips, precision },
+// and throws when the service fails. `precision` is one of rooftop, street,
+// zip, city, county or state. Online providers also export `minIntervalMs`,
+// the least time to leave between requests.
+export const PROVIDERS = { nominatim, census, offline };
+
+// Providers are tried in order until one finds the address. Configure with
+// GEOCODERS, e.g. GEOCODERS=census,nominatim,offline
+export const DEFAULT_PROVIDER_ORDER = ["nominatim", "census", "offline"];
+
+const GEOCODE_CACHE_PATH = path.join(CACHE_DIR, "..", "geocode-cache.json");
+const GEOCODE_CACHE_TTL = 180 * 86400000; // 180 days
+
+let geocodeCache = null;
+
+// Earliest time each provider may be called next. Shared by every search and
+// batch in the process, so together they stay within the provider's limit.
+const nextRequestAt = new Map();
+
+export function getProviderOrder(logger = SILENT_LOGGER) {
+  const configured = String(process.env.GEOCODERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = configured.filter((name) => !PROVIDERS[name]);
+  if (unknown.length > 0) {
+    logger.warn(`  Ignoring unknown geocoders: ${unknown.join(", ")}`);
+  }
+
+  const order = configured.filter((name) => PROVIDERS[name]);
+  return order.length > 0 ? order : DEFAULT_PROVIDER_ORDER;
+}
+
+// Geocode an address to a best-first list of candidates, using the
+// persistent cache and failing over between providers. Returns an empty list
+// if no provider can find the address. `logger` takes the console's log,
+// warn and error calls (silent by default).
+export async function geocodeCandidates(address, { logger = SILENT_LOGGER } = {}) {
+  const key = cacheKey(address);
+  const cached = readCache()[key];
+  if (cached && Date.now() - cached.cachedAt < GEOCODE_CACHE_TTL) {
+    logger.log(`  Geocode cache hit (${cached.provider})`);
+    return cached.candidates.map((candidate) => ({ ...candidate }));
+  }
+
+  for (const name of getProviderOrder(logger)) {
+    try {
+      await waitForProvider(name);
+      const candidates = (await PROVIDERS[name].geocode(address))
+        .filter((candidate) => Number.isFinite(candidate.lat) && Number.isFinite(candidate.lon));
+      if (candidates.length === 0) {
+        logger.log(`  Geocoder ${name}: no match`);
+        continue;
+      }
+
+      for (const candidate of candidates) {
+        candidate.provider = name;
+        if (!candidate.county) {
+          candidate.county = findCountyByPoint(candidate.lat, candidate.lon)?.name || null;
+        }
+      }
+
+      writeCache(key, name, candidates, logger);
+      return candidates;
+    } catch (err) {
+      logger.error(`  Geocoder ${name} failed:`, err.message);
+    }
+  }
+
+  return [];
+}
+
+// The user should pick a candidate when the candidates fall in more than one
+// county, or the best one only locates a whole state.
+export function needsDisambiguation(candidates) {
+  if (candidates.length === 0) return false;
+  if (candidates[0].precision === "state") return true;
+
+  const counties = new Set(candidates.map((candidate) =>
+    candidate.countyFips || findCountyByPoint(candidate.lat, candidate.lon)?.fips || candidate.county
+  ));
+  return counties.size > 1;
+}
+
+// Reserve the provider's next request slot, then wait for it
+async function waitForProvider(name) {
+  const interval = PROVIDERS[name].minIntervalMs || 0;
+  if (!interval) return;
+
+  const now = Date.now();
+  const at = Math.max(now, nextRequestAt.get(name) || 0);
+  nextRequestAt.set(name, at + interval);
+  if (at > now) {
+    await new Promise((resolve) => setTimeout(resolve, at - now));
+  }
+}
+
+function cacheKey(address) {
+  return address.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function readCache() {
+  if (geocodeCache) return geocodeCache;
+  try {
+    geocodeCache = JSON.parse(fs.readFileSync(GEOCODE_CACHE_PATH, "utf8"));
+  } catch {
+    geocodeCache = {};
+  }
+  return geocodeCache;
+}
+
+function writeCache(key, provider, candidates, logger) {
+  const cache = readCache();
+  cache[key] = {
+    provider,
+    candidates: candidates.map((candidate) => ({ ...candidate })),
+    cachedAt: Date.now()
+  };
+  try {
+    fs.mkdirSync(path.dirname(GEOCODE_CACHE_PATH), { recursive: true });
+    fs.writeFileSync(GEOCODE_CACHE_PATH, JSON.stringify(cache));
+  } catch (err) {
+    logger.error("  Could not save geocode cache:", err.message);
+  }
+}
+
+// Public view of a candidate for the pick list
+export function describeCandidate(candidate, index) {
+  return {
+    index,
+    displayName: candidate.displayName,
+    county: candidate.county,
+    state: candidate.state,
+    precision: candidate.precision,
+    lat: candidate.lat,
+    lon: candidate.lon
+  };
+}
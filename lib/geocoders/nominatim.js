@@ -0,0 +1,69 @@
+// OpenStreetMap Nominatim. Usage policy: https://operations.osmfoundation.org/policies/nominatim/
+export const name = "nominatim";
+// The policy allows at most one request per second
+export const minIntervalMs = 1000;
+
+const MAX_CANDIDATES = 5;
+
+export async function geocode(address) {
+  const url = new URL("https://nominatim.openstreetmap.org/search");
+  url.searchParams.set("format", "json");
+  url.searchParams.set("limit", String(MAX_CANDIDATES));
+  url.searchParams.set("addressdetails", "1");
+  url.searchParams.set("countrycodes", "us");
+  url.searchParams.set("q", address);
+
+  const response = await fetch(url, {
+    headers: {
+      "User-Agent": "WindReport/2.0 (NOAA Storm Events Lookup)"
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Nominatim returned HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data)) {
+    return [];
+  }
+  return data.map(toCandidate);
+}
+
+function toCandidate(result) {
+  const details = result.address || {};
+
+  // Extract county - try multiple fields
+  let county = details.county || details.state_district || details.region || details.city || null;
+  if (county) {
+    // Remove common suffixes
+    county = county
+      .replace(/\s+County$/i, "")
+      .replace(/\s+Parish$/i, "")  // Louisiana uses parishes
+      .replace(/\s+Borough$/i, "")  // Alaska uses boroughs
+      .replace(/\s+Census Area$/i, "")  // Alaska
+      .trim();
+  }
+
+  return {
+    displayName: result.display_name,
+    lat: Number(result.lat),
+    lon: Number(result.lon),
+    county,
+    state: details.state || null,
+    stateCode: (details["ISO3166-2-lvl4"] || "").replace("US-", "") || null,
+    countyFips: null,
+    precision: precisionForRank(Number(result.place_rank))
+  };
+}
+
+// Nominatim place_rank: 30 = building, 26-27 = street, 13-25 = city down to
+// neighbourhood or postcode, 10-12 = county, lower = state or country
+function precisionForRank(rank) {
+  if (!Number.isFinite(rank)) return null;
+  if (rank >= 30) return "rooftop";
+  if (rank >= 26) return "street";
+  if (rank >= 13) return "city";
+  if (rank >= 10) return "county";
+  return "state";
+}
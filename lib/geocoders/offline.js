@@ -0,0 +1,68 @@
+import zipcodes from "zipcodes";
+import { STATES } from "../counties.js";
+
+// Offline fallback using the ZIP code centroids bundled with the zipcodes
+// package. Resolves a ZIP code in the address, or else a "City, ST" place
+// (the centroid of the city's ZIP codes). Much less precise than a street
+// geocode, but needs no network.
+export const name = "offline";
+
+const STATE_CODES = new Set(Object.values(STATES).map((state) => state.code));
+const STATE_NAMES = new Map(Object.values(STATES).map((state) => [state.name.toLowerCase(), state.code]));
+
+export async function geocode(address) {
+  const zipMatch = address.match(/\b(\d{5})(?:-\d{4})?\s*$/);
+  if (zipMatch) {
+    const zip = zipcodes.lookup(zipMatch[1]);
+    if (zip) {
+      return [toCandidate(`${zip.city}, ${zip.state} ${zip.zip}`, zip.latitude, zip.longitude, zip.state, "zip")];
+    }
+  }
+
+  const place = parsePlace(address);
+  if (!place) {
+    return [];
+  }
+
+  const zips = zipcodes.lookupByName(place.city, place.stateCode);
+  if (zips.length === 0) {
+    return [];
+  }
+
+  const lat = zips.reduce((sum, zip) => sum + zip.latitude, 0) / zips.length;
+  const lon = zips.reduce((sum, zip) => sum + zip.longitude, 0) / zips.length;
+  return [toCandidate(`${zips[0].city}, ${place.stateCode}`, lat, lon, place.stateCode, "city")];
+}
+
+// Take the last two comma-separated parts as "City, ST" (or "City, State")
+function parsePlace(address) {
+  const parts = address.split(",").map((part) => part.trim()).filter(Boolean);
+  if (parts.length < 2) {
+    return null;
+  }
+
+  const statePart = parts[parts.length - 1].replace(/\s+\d{5}(-\d{4})?$/, "").trim();
+  const stateCode = STATE_CODES.has(statePart.toUpperCase())
+    ? statePart.toUpperCase()
+    : STATE_NAMES.get(statePart.toLowerCase());
+  if (!stateCode) {
+    return null;
+  }
+
+  return { city: parts[parts.length - 2], stateCode };
+}
+
+function toCandidate(displayName, lat, lon, stateCode, precision) {
+  const state = Object.values(STATES).find((info) => info.code === stateCode);
+  return {
+    displayName,
+    lat,
+    lon,
+    // County comes from the point via the county boundaries
+    county: null,
+    state: state ? state.name : null,
+    stateCode,
+    countyFips: null,
+    precision
+  };
+}
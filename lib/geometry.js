@@ -0,0 +1,44 @@
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Calculate distance between two lat/lon points in miles (Haversine formula)
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_MILES * c;
+}
+
+// Distance in miles from a point to the nearest part of a path of
+// [lat, lon] points. A single point is measured directly. Storm paths are
+// short enough to find the nearest point on each segment in a flat
+// projection around the query point, then measure it with haversine.
+export function distanceToPath(lat, lon, path) {
+  if (path.length === 0) return null;
+  if (path.length === 1) return haversineDistance(lat, lon, path[0][0], path[0][1]);
+
+  const scale = Math.cos(toRad(lat));
+  let nearest = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    const [lat1, lon1] = path[i - 1];
+    const [lat2, lon2] = path[i];
+
+    // Segment and query point in degrees, longitude scaled to match latitude
+    const dx = (lon2 - lon1) * scale;
+    const dy = lat2 - lat1;
+    const px = (lon - lon1) * scale;
+    const py = lat - lat1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.min(1, Math.max(0, (px * dx + py * dy) / lengthSquared)) : 0;
+
+    const distance = haversineDistance(lat, lon, lat1 + t * (lat2 - lat1), lon1 + t * (lon2 - lon1));
+    if (distance < nearest) nearest = distance;
+  }
+  return nearest;
+}
+
+function toRad(deg) {
+  return deg * (Math.PI / 180);
+}
@@ -0,0 +1,87 @@
+import { findCountyByPoint, findCountyByFips, findCountyByName } from "./counties.js";
+
+// A search names its location by one of:
+//   address        geocoded through the provider chain
+//   lat + lon      resolved to a county offline
+//   fips           a five-digit county FIPS code
+//   state + county a county name within a state (name, USPS code or FIPS)
+// Returns the parsed location, or null if none is given or it is invalid.
+export function parseLocationQuery(query) {
+  const address = String(query.address || "").trim();
+  if (address) {
+    return { type: "address", address };
+  }
+
+  if (query.lat !== undefined || query.lon !== undefined) {
+    const lat = Number.parseFloat(query.lat);
+    const lon = Number.parseFloat(query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return null;
+    }
+    return { type: "point", lat, lon };
+  }
+
+  const fips = String(query.fips || "").trim();
+  if (fips) {
+    return /^\d{4,5}$/.test(fips) ? { type: "fips", fips: fips.padStart(5, "0") } : null;
+  }
+
+  const state = String(query.state || "").trim();
+  const county = String(query.county || "").trim();
+  if (state && county) {
+    return { type: "county", state, county };
+  }
+
+  return null;
+}
+
+// 404 errors for coordinate and county locations that match no county
+export const NOT_FOUND_MESSAGES = {
+  point: "Those coordinates are not inside a US county.",
+  fips: "No county has that FIPS code.",
+  county: "Could not find a single county by that name. Try its FIPS code."
+};
+
+// Resolve a coordinate or county location to the same shape the geocoders
+// produce, with `fips` already set. Returns null if no county matches.
+export function resolveDirectLocation(location) {
+  if (location.type === "point") {
+    const county = findCountyByPoint(location.lat, location.lon);
+    if (!county) return null;
+    return {
+      ...toGeo(county, "point"),
+      displayName: `${location.lat}, ${location.lon}`,
+      lat: location.lat,
+      lon: location.lon,
+      precision: "rooftop"
+    };
+  }
+
+  const county = location.type === "fips"
+    ? findCountyByFips(location.fips)
+    : findCountyByName(location.state, location.county);
+  return county ? toGeo(county, "query") : null;
+}
+
+// Short label for logs and progress events
+export function describeLocation(location) {
+  if (location.type === "address") return location.address;
+  if (location.type === "point") return `${location.lat}, ${location.lon}`;
+  if (location.type === "fips") return `FIPS ${location.fips}`;
+  return `${location.county}, ${location.state}`;
+}
+
+function toGeo(county, method) {
+  return {
+    displayName: `${county.name}, ${county.state}`,
+    lat: null,
+    lon: null,
+    county: county.name,
+    state: county.state,
+    stateCode: county.stateCode,
+    countyFips: county.fips,
+    provider: null,
+    precision: "county",
+    fips: { ...county, method }
+  };
+}
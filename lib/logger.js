@@ -0,0 +1,4 @@
+// The library's log calls go to a logger with the console's log, warn and
+// error methods. Callers that want the output pass `console`; without one
+// nothing is written.
+export const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
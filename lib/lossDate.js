@@ -0,0 +1,64 @@
+import { parseInputDate } from "./dateRange.js";
+
+const DAY_MS = 86400000;
+
+export const DEFAULT_WINDOW_DAYS = 3;
+export const MAX_WINDOW_DAYS = 30;
+
+// Distance at which an event stops earning proximity points when the search
+// is county-wide (no radius given)
+const DEFAULT_SCORE_RADIUS_MILES = 25;
+
+// Weight of time vs. distance in the corroboration score
+const TIME_WEIGHT = 0.6;
+const DISTANCE_WEIGHT = 0.4;
+
+// Events with no coordinates only prove the storm hit the county
+const COUNTY_ONLY_DISTANCE_SCORE = 0.25;
+
+// Parse `lossDate` and `window` (days either side) from the query string.
+// Returns null if the loss date or window is invalid.
+export function parseLossWindow(query = {}) {
+  const date = parseInputDate(String(query.lossDate || "").trim());
+  if (!date) return null;
+
+  const windowDays = query.window === undefined || query.window === ""
+    ? DEFAULT_WINDOW_DAYS
+    : Number(query.window);
+  if (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > MAX_WINDOW_DAYS) {
+    return null;
+  }
+
+  return {
+    date,
+    windowDays,
+    range: {
+      start: new Date(date.getTime() - windowDays * DAY_MS),
+      end: new Date(date.getTime() + (windowDays + 1) * DAY_MS - 1)
+    }
+  };
+}
+
+// Score each event 0-100 by how well it corroborates the claimed loss date
+// and sort best match first. Expects `distanceMiles` to be set on events
+// that have coordinates.
+export function rankByCorroboration(events, loss, radiusMiles) {
+  const scoreRadius = radiusMiles || DEFAULT_SCORE_RADIUS_MILES;
+
+  for (const event of events) {
+    event.daysFromLoss = Math.round((event.date.getTime() - loss.date.getTime()) / DAY_MS);
+
+    const timeScore = 1 - Math.abs(event.daysFromLoss) / (loss.windowDays + 1);
+    const distanceScore = Number.isFinite(event.distanceMiles)
+      ? Math.max(0, 1 - event.distanceMiles / scoreRadius)
+      : COUNTY_ONLY_DISTANCE_SCORE;
+
+    event.matchScore = Math.round(100 * (TIME_WEIGHT * timeScore + DISTANCE_WEIGHT * distanceScore));
+  }
+
+  return events.sort((a, b) =>
+    b.matchScore - a.matchScore ||
+    Math.abs(a.daysFromLoss) - Math.abs(b.daysFromLoss) ||
+    (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity)
+  );
+}
@@ -0,0 +1,237 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Writable } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import { SILENT_LOGGER } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const NCEI_URL = "https://www.ncei.noaa.gov/pub/data/swdi/stormevents/csvfiles/";
+// Use /tmp on Vercel (serverless), local data dir otherwise
+export const CACHE_DIR = process.env.VERCEL
+  ? "/tmp/noaa"
+  : path.join(__dirname, "..", "data", "noaa");
+
+// Where Storm Events files come from, set with NOAA_SOURCE: NOAA's NCEI
+// directory (the default), an HTTP mirror that serves the same directory
+// listing, or a local directory of the files (a path or file:// URL), which
+// is read in place. With NOAA_OFFLINE set nothing is fetched: files come
+// from a local source directory, or from those already in the cache.
+export const NOAA_SOURCE = readSource(process.env.NOAA_SOURCE);
+export const NOAA_OFFLINE = ["1", "true", "yes"].includes(String(process.env.NOAA_OFFLINE || "").toLowerCase());
+
+// Storm Events files are named by kind, year and revision (the date NOAA
+// created the file), e.g. StormEvents_details-ftp_v1.0_d2024_c20250115.csv.gz
+const STORM_FILE_PATTERN = /^StormEvents_([a-z]+)-ftp_v1\.0_d(\d{4})_c(\d{8})\.csv\.gz$/;
+const STORM_FILE_LINK_PATTERN = /StormEvents_[a-z]+-ftp_v1\.0_d\d{4}_c\d{8}\.csv\.gz/g;
+
+// Downloads in progress are written beside the cache under this suffix
+const DOWNLOAD_SUFFIX = ".download";
+const STALE_DOWNLOAD_MS = 3600000; // 1 hour
+
+// Cache for the HTTP source's directory listing
+let directoryCache = { filenames: null, timestamp: 0 };
+const DIRECTORY_CACHE_TTL = 3600000; // 1 hour
+
+// Forget the directory listing, so the next lookup sees new revisions
+export function clearDirectoryCache() {
+  directoryCache = { filenames: null, timestamp: 0 };
+}
+
+// Whether missing files can be fetched: an HTTP source, not offline
+export function canDownload() {
+  return NOAA_SOURCE.type === "http" && !NOAA_OFFLINE;
+}
+
+// The data source as reported by the admin status
+export function describeSource() {
+  return {
+    type: NOAA_SOURCE.type,
+    location: NOAA_SOURCE.type === "http" ? NOAA_SOURCE.url : NOAA_SOURCE.dir,
+    offline: NOAA_OFFLINE
+  };
+}
+
+// Where a Storm Events file is read from: the local source directory, or
+// the cache
+export function stormFilePath(filename) {
+  return path.join(NOAA_SOURCE.type === "directory" ? NOAA_SOURCE.dir : CACHE_DIR, filename);
+}
+
+// Every Storm Events filename the source offers
+export async function listStormFiles() {
+  if (NOAA_SOURCE.type === "directory") {
+    return readStormFilenames(NOAA_SOURCE.dir);
+  }
+  if (NOAA_OFFLINE) {
+    return readStormFilenames(CACHE_DIR);
+  }
+
+  const now = Date.now();
+  if (directoryCache.filenames && now - directoryCache.timestamp < DIRECTORY_CACHE_TTL) {
+    return directoryCache.filenames;
+  }
+
+  const response = await fetch(NOAA_SOURCE.url);
+  if (!response.ok) {
+    throw new Error("Failed to fetch NOAA directory listing.");
+  }
+
+  const filenames = [...new Set((await response.text()).match(STORM_FILE_LINK_PATTERN) || [])];
+  directoryCache = { filenames, timestamp: now };
+  return filenames;
+}
+
+// Latest revision of a year's file. `kind` is "details" (one row per event)
+// or "locations" (extra points along each event's path).
+export async function getLatestStormFilename(year, kind = "details") {
+  const matches = (await listStormFiles())
+    .map((filename) => ({ filename, parsed: parseStormFilename(filename) }))
+    .filter(({ parsed }) => parsed && parsed.kind === kind && parsed.year === year);
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  matches.sort((a, b) => b.parsed.revision.localeCompare(a.parsed.revision));
+  return matches[0].filename;
+}
+
+// Download a file into the cache unless it is already there (or, for a
+// local source directory, check that it is there). The download
+// goes to a temporary file that is only moved into place once it has the
+// advertised length and gunzips cleanly, so an interrupted download is never
+// mistaken for a cached file. Older revisions of the same file are then
+// deleted. `replace` downloads a cached file again, keeping the cached copy
+// until the new one is complete. `logger` takes the console's log calls.
+export async function ensureFileDownloaded(filename, { logger = SILENT_LOGGER, replace = false } = {}) {
+  if (!fs.existsSync(CACHE_DIR)) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+  }
+
+  const filePath = stormFilePath(filename);
+  if (fs.existsSync(filePath) && !(replace && canDownload())) {
+    return;
+  }
+  if (!canDownload()) {
+    throw new Error(`${filename} is not available offline`);
+  }
+
+  logger.log(`  Downloading ${filename}...`);
+  const tempPath = `${filePath}.${process.pid}${DOWNLOAD_SUFFIX}`;
+  try {
+    const response = await fetch(`${NOAA_SOURCE.url}${filename}`);
+    if (!response.ok) {
+      throw new Error(`Failed to download ${filename}`);
+    }
+
+    await pipeline(response.body, fs.createWriteStream(tempPath));
+    // fetch decompresses content-encoded responses, so their length differs
+    const expectedBytes = response.headers.get("content-encoding") ? null : response.headers.get("content-length");
+    await verifyDownload(tempPath, filename, expectedBytes);
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+  logger.log(`  Downloaded ${filename}`);
+
+  pruneSupersededFiles(filename, logger);
+}
+
+// Kind, year and revision of a Storm Events filename, or null
+export function parseStormFilename(filename) {
+  const match = STORM_FILE_PATTERN.exec(filename);
+  if (!match) return null;
+  return { kind: match[1], year: Number(match[2]), revision: match[3] };
+}
+
+// Storm Events files in the cache, newest year first
+export function listCachedFiles() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs.readdirSync(CACHE_DIR)
+    .map((filename) => ({ filename, parsed: parseStormFilename(filename) }))
+    .filter(({ parsed }) => parsed)
+    .map(({ filename, parsed }) => {
+      const stat = fs.statSync(path.join(CACHE_DIR, filename));
+      return { filename, ...parsed, bytes: stat.size, downloadedAt: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.year - a.year || a.kind.localeCompare(b.kind) || b.revision.localeCompare(a.revision));
+}
+
+// Delete a cached file, e.g. one that failed to parse, so it is downloaded
+// again when next needed
+export function removeCachedFile(filename) {
+  fs.rmSync(path.join(CACHE_DIR, filename), { force: true });
+}
+
+// Delete superseded revisions and abandoned downloads. Returns the deleted
+// filenames.
+export function pruneCache() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+
+  const latest = new Map();
+  for (const file of listCachedFiles()) {
+    const key = `${file.kind}-${file.year}`;
+    if (!latest.has(key) || file.revision > latest.get(key)) latest.set(key, file.revision);
+  }
+
+  const removed = [];
+  for (const filename of fs.readdirSync(CACHE_DIR)) {
+    const parsed = parseStormFilename(filename);
+    const superseded = parsed && parsed.revision < latest.get(`${parsed.kind}-${parsed.year}`);
+    const abandoned = filename.endsWith(DOWNLOAD_SUFFIX) &&
+      Date.now() - fs.statSync(path.join(CACHE_DIR, filename)).mtimeMs > STALE_DOWNLOAD_MS;
+    if (superseded || abandoned) {
+      removeCachedFile(filename);
+      removed.push(filename);
+    }
+  }
+  return removed;
+}
+
+// Delete older revisions of a file that has just been downloaded
+function pruneSupersededFiles(filename, logger) {
+  const current = parseStormFilename(filename);
+  if (!current) return;
+
+  for (const file of listCachedFiles()) {
+    if (file.kind === current.kind && file.year === current.year && file.revision < current.revision) {
+      logger.log(`  Removing superseded ${file.filename}`);
+      removeCachedFile(file.filename);
+    }
+  }
+}
+
+// A complete download has the advertised length and gunzips to the end
+async function verifyDownload(filePath, filename, expectedBytes) {
+  if (expectedBytes !== null && fs.statSync(filePath).size !== Number(expectedBytes)) {
+    throw new Error(`Incomplete download of ${filename}`);
+  }
+
+  const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+  try {
+    await pipeline(fs.createReadStream(filePath), zlib.createGunzip(), discard);
+  } catch {
+    throw new Error(`Corrupt download of ${filename}`);
+  }
+}
+
+function readSource(value) {
+  const source = String(value || "").trim();
+  if (!source) {
+    return { type: "http", url: NCEI_URL };
+  }
+  if (/^https?:\/\//i.test(source)) {
+    return { type: "http", url: source.endsWith("/") ? source : `${source}/` };
+  }
+  const dir = source.startsWith("file://") ? fileURLToPath(source) : source;
+  return { type: "directory", dir: path.resolve(dir) };
+}
+
+function readStormFilenames(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter((filename) => STORM_FILE_PATTERN.test(filename));
+}
@@ -0,0 +1,272 @@
+import PDFDocument from "pdfkit";
+import { formatCsv } from "./csv.js";
+import { WIND_UNITS } from "./units.js";
+
+// Downloadable forms of a search response (the /api/windstorms body), chosen
+// with its `format` parameter
+export const REPORT_FORMATS = ["json", "csv", "geojson", "txt", "pdf"];
+
+// Columns of a CSV of results, also used by batch downloads
+export const RESULT_CSV_COLUMNS = [
+  "eventId",
+  "episodeId",
+  "date",
+  "beginTime",
+  "endTime",
+  "timezone",
+  "eventType",
+  "category",
+  "windSpeed",
+  "windUnits",
+  "windSpeedKnots",
+  "windSpeedType",
+  "windMeasurement",
+  "hailSizeInches",
+  "tornadoScale",
+  "tornadoLengthMiles",
+  "tornadoWidthYards",
+  "magnitude",
+  "magnitudeType",
+  "areaType",
+  "areaName",
+  "distanceMiles",
+  "countyLevelOnly",
+  "severe",
+  "damagePropertyUsd",
+  "damageCropsUsd",
+  "damageTotalUsd",
+  "injuriesDirect",
+  "injuriesIndirect",
+  "deathsDirect",
+  "deathsIndirect",
+  "source",
+  "beginLat",
+  "beginLon",
+  "endLat",
+  "endLon",
+  "daysFromLoss",
+  "matchScore"
+];
+
+// PDF page layout in points (US Letter)
+const PAGE_MARGIN = 50;
+const PDF_COLUMNS = [
+  { label: "Date", width: 62 },
+  { label: "Time", width: 72 },
+  { label: "Event", width: 118 },
+  { label: "Magnitude", width: 110 },
+  { label: "Distance", width: 60 },
+  { label: "Damage", width: 90 }
+];
+
+// Read the `format` query value. Returns null for an unknown format.
+export function parseReportFormat(value) {
+  const format = String(value || "json").trim().toLowerCase();
+  return REPORT_FORMATS.includes(format) ? format : null;
+}
+
+// Render a search response for download. Resolves to
+// { contentType, filename, body }.
+export async function formatReport(report, format) {
+  const filename = `wind-history-${fileSlug(report)}`;
+
+  switch (format) {
+    case "csv":
+      return { contentType: "text/csv", filename: `${filename}.csv`, body: formatCsv(RESULT_CSV_COLUMNS, report.results) };
+    case "geojson":
+      return { contentType: "application/geo+json", filename: `${filename}.geojson`, body: JSON.stringify(toGeoJson(report), null, 2) };
+    case "txt":
+      return { contentType: "text/plain", filename: `${filename}.txt`, body: toText(report) };
+    case "pdf":
+      return { contentType: "application/pdf", filename: `${filename}.pdf`, body: await toPdf(report) };
+    default:
+      return { contentType: "application/json", filename: `${filename}.json`, body: JSON.stringify(report, null, 2) };
+  }
+}
+
+// A result's magnitude in the report's line format, e.g. "WIND SPEED: 69 MPH"
+export function describeMeasurement(result) {
+  switch (result.category) {
+    case "wind":
+      if (result.magnitudeMissing || result.windSpeed === null) return "WIND SPEED: NOT REPORTED";
+      return `WIND SPEED: ${result.windSpeed} ${WIND_UNITS[result.windUnits].label.toUpperCase()}`;
+    case "hail":
+      return result.hailSizeInches !== null ? `HAIL: ${result.hailSizeInches.toFixed(2)} IN` : "HAIL: SIZE N/A";
+    case "tornado":
+      return `TORNADO: ${result.tornadoScale || "UNRATED"}`;
+    default:
+      return result.magnitude !== null
+        ? `${result.eventType.toUpperCase()}: ${result.magnitude}${result.magnitudeType ? ` ${result.magnitudeType}` : ""}`
+        : result.eventType.toUpperCase();
+  }
+}
+
+// Results as GeoJSON points at their begin coordinates, with every result
+// field as properties. Results without coordinates have a null geometry.
+function toGeoJson(report) {
+  return {
+    type: "FeatureCollection",
+    features: report.results.map((result) => ({
+      type: "Feature",
+      geometry: Number.isFinite(result.beginLat) && Number.isFinite(result.beginLon)
+        ? { type: "Point", coordinates: [result.beginLon, result.beginLat] }
+        : null,
+      properties: result
+    }))
+  };
+}
+
+// The location and search, then one "DATE: MM/DD/YYYY - WIND SPEED: XX MPH"
+// line per result
+function toText(report) {
+  const lines = [
+    "WIND HISTORY REPORT",
+    report.address,
+    ...describeSearch(report).map(([label, value]) => `${label}: ${value}`),
+    ""
+  ];
+  for (const result of report.results) {
+    lines.push(`DATE: ${result.date} - ${describeMeasurement(result)}`);
+  }
+  if (report.results.length === 0) {
+    lines.push("No storm events found.");
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// The printable "Wind History Report": location, search parameters, NOAA
+// file revisions and the events table
+function toPdf(report) {
+  const doc = new PDFDocument({ size: "LETTER", margin: PAGE_MARGIN, info: { Title: "Wind History Report" } });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.font("Helvetica-Bold").fontSize(20).text("Wind History Report");
+  doc.font("Helvetica").fontSize(9).fillColor("#555555").text(`Generated ${new Date().toISOString().slice(0, 10)} from the NOAA Storm Events Database`);
+  doc.moveDown();
+
+  pdfSection(doc, "Location");
+  pdfFields(doc, [
+    ["Address", report.address],
+    ["County", `${report.county}, ${report.state}`],
+    ["County FIPS", report.fips ? report.fips.code : "—"],
+    ["Forecast zones", describeZones(report)],
+    ["Geocoder", report.geocoder ? `${report.geocoder}${report.geocodePrecision ? `, ${report.geocodePrecision} precision` : ""}` : "—"]
+  ]);
+
+  pdfSection(doc, "Search");
+  pdfFields(doc, describeSearch(report));
+
+  pdfSection(doc, "NOAA data files");
+  doc.font("Helvetica").fontSize(8);
+  for (const file of report.dataFiles) {
+    doc.text(`${file.year}: ${file.details}${file.locations ? `, ${file.locations}` : ""}`);
+  }
+  if (report.missingYears.length > 0) {
+    doc.text(`No NOAA file for: ${report.missingYears.join(", ")}`);
+  }
+  doc.moveDown();
+
+  pdfSection(doc, `Events (${report.results.length})`);
+  if (report.results.length === 0) {
+    doc.font("Helvetica").fontSize(10).text("No storm events found.");
+  } else {
+    pdfTable(doc, report);
+  }
+
+  doc.end();
+  return done;
+}
+
+function pdfSection(doc, title) {
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#000000").text(title, PAGE_MARGIN);
+  doc.moveDown(0.3);
+}
+
+function pdfFields(doc, fields) {
+  doc.fontSize(10);
+  for (const [label, value] of fields) {
+    doc.font("Helvetica-Bold").text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true });
+    doc.font("Helvetica").text(String(value));
+  }
+  doc.moveDown();
+}
+
+function pdfTable(doc, report) {
+  const bottom = doc.page.height - PAGE_MARGIN;
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: PDF_COLUMNS[i].width - 6 })));
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      if (!bold) drawRow(PDF_COLUMNS.map((column) => column.label), true);
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    }
+
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x, top, { width: PDF_COLUMNS[i].width - 6 });
+      x += PDF_COLUMNS[i].width;
+    });
+    doc.y = top + height + 4;
+    doc.moveTo(PAGE_MARGIN, doc.y - 2).lineTo(x, doc.y - 2).lineWidth(0.5).strokeColor("#cccccc").stroke();
+  };
+
+  drawRow(PDF_COLUMNS.map((column) => column.label), true);
+  for (const result of report.results) {
+    drawRow([
+      result.date,
+      formatTime(result),
+      result.eventType,
+      describeMeasurement(result).replace(/^[^:]+: /, "").toLowerCase() + (result.severe ? " (severe)" : ""),
+      result.distanceMiles !== null ? `${result.distanceMiles} mi` : result.countyLevelOnly ? "county-level" : "—",
+      result.damageTotalUsd ? `$${result.damageTotalUsd.toLocaleString("en-US")}` : "—"
+    ], false);
+  }
+}
+
+// Search parameters as [label, value] pairs
+function describeSearch(report) {
+  const fields = report.lossDate
+    ? [["Date of loss", `${report.lossDate} (±${report.windowDays} days)`]]
+    : [["Period", `${report.range.start} to ${report.range.end}`]];
+  fields.push(
+    ["Radius", report.radiusMiles ? `${report.radiusMiles} miles` : "Entire county"],
+    ["Event types", report.eventTypes.join(", ")],
+    ["Wind units", WIND_UNITS[report.units].label],
+    [
+      "Severe",
+      `wind ${report.severity.windSpeed} ${WIND_UNITS[report.units].label}, hail ${report.severity.hailInches} in, tornado EF${report.severity.tornadoRating}`
+    ]
+  );
+  if (report.damage.dollarYear) {
+    fields.push(["Damage", `in ${report.damage.dollarYear} dollars`]);
+  }
+  return fields;
+}
+
+// Matched forecast zones, noting when an address in a split county was
+// matched against every zone of the county
+function describeZones(report) {
+  if (report.zonesApproximate && report.zones.length === 0) return "matched by county name (approximate)";
+  const zones = report.zones.map((zone) => `${zone.id} (${zone.name})`).join(", ") || "—";
+  return report.zonesApproximate ? `${zones}; approximate, all zones of the county` : zones;
+}
+
+// Local begin time and timezone, e.g. "21:30 CST"
+function formatTime(result) {
+  if (!result.beginTime) return "—";
+  const zone = result.timezone ? ` ${result.timezone.replace(/[-+]?\d+$/, "")}` : "";
+  return `${result.beginTime.slice(11, 16)}${zone}`;
+}
+
+function fileSlug(report) {
+  const place = [report.county, report.state].filter(Boolean).join(" ") || "report";
+  const period = report.lossDate || `${report.range.start.slice(0, 4)}-${report.range.end.slice(0, 4)}`;
+  return `${place} ${period}`.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
@@ -0,0 +1,73 @@
+import { convertMph, toMph } from "./units.js";
+
+// Thresholds for flagging a result as severe: hurricane-force wind, 2 inch
+// hail and EF2/F2 tornadoes. Override them for a deployment with
+// SEVERE_WIND_MPH, SEVERE_HAIL_INCHES and SEVERE_TORNADO_RATING, or per
+// request with severeWind (in the request's units), severeHail and
+// severeTornado.
+export const DEFAULT_SEVERITY = { windMph: 75, hailInches: 2, tornadoRating: 2 };
+
+export function getDefaultSeverity() {
+  return {
+    windMph: readNumber(process.env.SEVERE_WIND_MPH) ?? DEFAULT_SEVERITY.windMph,
+    hailInches: readNumber(process.env.SEVERE_HAIL_INCHES) ?? DEFAULT_SEVERITY.hailInches,
+    tornadoRating: readNumber(process.env.SEVERE_TORNADO_RATING) ?? DEFAULT_SEVERITY.tornadoRating
+  };
+}
+
+// Read the severity query parameters over the defaults. Returns null if any
+// is invalid.
+export function parseSeverity(query, units) {
+  const severity = getDefaultSeverity();
+  const overrides = {
+    severeWind: readNumber(query.severeWind),
+    severeHail: readNumber(query.severeHail),
+    severeTornado: readNumber(query.severeTornado)
+  };
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (query[name] !== undefined && query[name] !== "" && (value === null || value < 0)) {
+      return null;
+    }
+  }
+  if (overrides.severeTornado !== null && overrides.severeTornado > 5) {
+    return null;
+  }
+
+  if (overrides.severeWind !== null) severity.windMph = toMph(overrides.severeWind, units);
+  if (overrides.severeHail !== null) severity.hailInches = overrides.severeHail;
+  if (overrides.severeTornado !== null) severity.tornadoRating = overrides.severeTornado;
+  return severity;
+}
+
+// The thresholds as reported in a response, with wind in the request's units
+export function describeSeverity(severity, units) {
+  return {
+    windSpeed: convertMph(severity.windMph, units),
+    windUnits: units,
+    hailInches: severity.hailInches,
+    tornadoRating: severity.tornadoRating
+  };
+}
+
+export function isSevere(category, measurement, severity) {
+  switch (category) {
+    case "wind":
+      return measurement.windSpeedMph !== null && measurement.windSpeedMph >= severity.windMph;
+    case "hail":
+      return measurement.hailSizeInches !== null && measurement.hailSizeInches >= severity.hailInches;
+    case "tornado": {
+      // "EF3" or "F3"; unrated ("EFU") tornadoes are never severe
+      const rating = /^E?F([0-5])$/.exec(measurement.tornadoScale || "");
+      return rating !== null && Number(rating[1]) >= severity.tornadoRating;
+    }
+    default:
+      return false;
+  }
+}
+
+function readNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
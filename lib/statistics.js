@@ -0,0 +1,83 @@
+import { convertMph, DEFAULT_WIND_UNITS } from "./units.js";
+
+// Wind speed thresholds counted in the summary: severe thunderstorm
+// (58 mph), hurricane force (75 mph) and extreme (100 mph)
+export const WIND_THRESHOLDS_MPH = [58, 75, 100];
+export const RETURN_PERIODS_YEARS = [10, 25, 50];
+
+// Fewest years with a wind report before a return-period fit is attempted
+const MIN_FIT_YEARS = 5;
+const EULER_GAMMA = 0.5772156649;
+
+// Summarize a search's events over the years it covered (`years`, the years
+// with NOAA data): event counts by year and month, the event with the
+// strongest wind, counts above WIND_THRESHOLDS_MPH and return-period wind
+// speeds. Threshold and return-period rows also give `windSpeed` in `units`.
+export function summarizeEvents(events, years, units = DEFAULT_WIND_UNITS) {
+  const byYear = new Map(years.map((year) => [year, { year, events: 0, maxWindMph: null }]));
+  const byMonth = Array.from({ length: 12 }, (_, i) => ({ month: i + 1, events: 0 }));
+  const thresholds = Object.fromEntries(WIND_THRESHOLDS_MPH.map((mph) => [mph, 0]));
+  let maxWind = null;
+
+  for (const event of events) {
+    const year = byYear.get(event.date.getUTCFullYear());
+    if (year) year.events++;
+    byMonth[event.date.getUTCMonth()].events++;
+
+    const speed = event.measurement.windSpeedMph;
+    if (event.category !== "wind" || !Number.isFinite(speed)) continue;
+
+    if (year && (year.maxWindMph === null || speed > year.maxWindMph)) year.maxWindMph = speed;
+    if (!maxWind || speed > maxWind.speed) maxWind = { speed, event };
+    for (const mph of WIND_THRESHOLDS_MPH) {
+      if (speed >= mph) thresholds[mph]++;
+    }
+  }
+
+  const yearRows = [...byYear.values()];
+  return {
+    years: years.length,
+    events: events.length,
+    eventsPerYear: years.length > 0 ? Math.round((events.length / years.length) * 10) / 10 : null,
+    byYear: yearRows,
+    byMonth,
+    maxWind: maxWind ? maxWind.event : null,
+    windThresholds: WIND_THRESHOLDS_MPH.map((mph) => ({
+      windSpeedMph: mph,
+      windSpeed: convertMph(mph, units),
+      events: thresholds[mph]
+    })),
+    returnPeriods: estimateReturnPeriods(yearRows.map((row) => row.maxWindMph)).map((row) => ({
+      ...row,
+      windSpeed: row.windSpeedMph !== null ? convertMph(row.windSpeedMph, units) : null
+    }))
+  };
+}
+
+// Fit a Gumbel (extreme value type I) distribution to the annual maximum
+// wind speeds by the method of moments, and read off the speed expected to
+// be reached once every 10, 25 and 50 years. Years with no wind report are
+// treated as falling below every return level, so the fit is mixed with
+// the chance of a quiet year. Speeds are null when there are too few years
+// to fit, or when the period is rarer than a quiet year.
+export function estimateReturnPeriods(annualMaxima) {
+  const maxima = annualMaxima.filter((value) => Number.isFinite(value));
+  if (maxima.length < MIN_FIT_YEARS) {
+    return RETURN_PERIODS_YEARS.map((years) => ({ years, windSpeedMph: null }));
+  }
+
+  const mean = maxima.reduce((sum, value) => sum + value, 0) / maxima.length;
+  const variance = maxima.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (maxima.length - 1);
+  const scale = (Math.sqrt(variance) * Math.sqrt(6)) / Math.PI;
+  const location = mean - EULER_GAMMA * scale;
+  const quietShare = 1 - maxima.length / annualMaxima.length;
+
+  return RETURN_PERIODS_YEARS.map((years) => {
+    // Non-exceedance probability within the years that had a wind report
+    const probability = (1 - 1 / years - quietShare) / (1 - quietShare);
+    if (probability <= 0) {
+      return { years, windSpeedMph: null };
+    }
+    return { years, windSpeedMph: Math.round(location - scale * Math.log(-Math.log(probability))) };
+  });
+}
@@ -0,0 +1,446 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import { parse } from "csv-parse";
+import {
+  CACHE_DIR,
+  stormFilePath,
+  canDownload,
+  getLatestStormFilename,
+  ensureFileDownloaded,
+  clearDirectoryCache,
+  removeCachedFile
+} from "./noaaFiles.js";
+import { SILENT_LOGGER } from "./logger.js";
+
+// The index splits each year's details file into one small gzipped file per
+// state, keeping only the columns the report uses. Queries then read a single
+// state's records instead of gunzipping and parsing the whole year.
+//
+//   data/noaa/index/<year>/manifest.json   source and locations filenames,
+//                                          version, groups, EVENT_ID range of
+//                                          each group
+//   data/noaa/index/<year>/<group>.json.gz { columns, rows }
+//   data/noaa/index/<year>/narratives/<group>.json.gz
+//                                          { events, episodes }: narratives
+//                                          by EVENT_ID and EPISODE_ID
+//
+// Groups are two-digit STATE_FIPS codes, plus "marine" for marine zone
+// records (which have no state). Narratives run to paragraphs and only the
+// event detail endpoint shows them, so they are kept apart from the records
+// searches read, with each episode's narrative stored once. Bump
+// INDEX_VERSION when the index layout or INDEX_COLUMNS changes so existing
+// indexes are rebuilt.
+//
+// LOCATIONS is not a details column: it holds the points NOAA lists for the
+// event in the year's locations file, as JSON [[lat, lon], ...] in
+// LOCATION_INDEX order.
+export const INDEX_DIR = path.join(CACHE_DIR, "index");
+export const INDEX_VERSION = 5;
+export const MARINE_GROUP = "marine";
+
+export const INDEX_COLUMNS = [
+  "EVENT_ID",
+  "EPISODE_ID",
+  "EVENT_TYPE",
+  "STATE",
+  "STATE_FIPS",
+  "CZ_TYPE",
+  "CZ_FIPS",
+  "CZ_NAME",
+  "BEGIN_DATE_TIME",
+  "END_DATE_TIME",
+  "CZ_TIMEZONE",
+  "MAGNITUDE",
+  "MAGNITUDE_TYPE",
+  "TOR_F_SCALE",
+  "TOR_LENGTH",
+  "TOR_WIDTH",
+  "BEGIN_LAT",
+  "BEGIN_LON",
+  "END_LAT",
+  "END_LON",
+  "SOURCE",
+  "DAMAGE_PROPERTY",
+  "DAMAGE_CROPS",
+  "INJURIES_DIRECT",
+  "INJURIES_INDIRECT",
+  "DEATHS_DIRECT",
+  "DEATHS_INDIRECT",
+  "LOCATIONS"
+];
+
+const EVENT_ID_COLUMN = INDEX_COLUMNS.indexOf("EVENT_ID");
+
+// Parsed groups kept in memory, keyed by "<year>/<group>", least recently
+// used first. Bounded by records rather than groups, as a large state's year
+// can hold a hundred times as many as a small one's: about 40,000 records is
+// in the order of 100 MB.
+const MEMORY_CACHE_RECORDS = 40000;
+const memoryCache = new Map();
+let memoryCacheRecords = 0;
+
+// Index builds in progress, so concurrent requests share one parse per year
+const pendingBuilds = new Map();
+
+// Load the details records for a year, limited to the given groups (or all
+// groups when `groups` is null). Builds or rebuilds the year's index when it
+// is missing, outdated, or older than the latest NOAA revision. Returns null
+// if NOAA publishes no details file for the year. `onStatus` is told when
+// the file is being downloaded or indexed, and `logger` (silent by default)
+// takes the console's log calls while it is.
+export async function loadYearRecords(year, groups, onStatus = () => {}, logger = SILENT_LOGGER) {
+  return loadFromIndex(year, groups, onStatus, logger, readGroup);
+}
+
+// A loadYearRecords for a run of searches, such as a batch, that keeps the
+// groups it reads until they are released, so a group is read once however
+// many of the run's searches need it, whatever the shared memory cache evicts
+// in the meantime. `loader.release(keep)` drops every group it holds except
+// those named in `keep`; a run that searches one state at a time releases
+// each state's groups when it moves on, so it holds one state's at most.
+export function createRecordLoader() {
+  const read = new Map();
+  const readOnce = (year, group, source) => {
+    const key = `${year}/${group}`;
+    if (!read.has(key)) read.set(key, { group, records: readGroup(year, group, source) });
+    return read.get(key).records;
+  };
+  const loader = (year, groups, onStatus = () => {}, logger = SILENT_LOGGER) => loadFromIndex(year, groups, onStatus, logger, readOnce);
+  loader.release = (keep = []) => {
+    for (const [key, { group }] of read) {
+      if (!keep.includes(group)) read.delete(key);
+    }
+  };
+  return loader;
+}
+
+async function loadFromIndex(year, groups, onStatus, logger, read) {
+  const manifest = await ensureYearIndex(year, onStatus, { logger });
+  if (!manifest) {
+    return null;
+  }
+
+  const wanted = groups ? groups.filter((group) => manifest.groups.includes(group)) : manifest.groups;
+  const records = [];
+  for (const group of wanted) {
+    records.push(...read(year, group, manifest.source));
+  }
+  return { filename: manifest.source, records };
+}
+
+// Make sure the year's index is current with the latest NOAA revision,
+// building it if needed. Returns the manifest, or null if NOAA publishes no
+// details file for the year. `force` re-reads the NOAA directory listing,
+// downloads the year's files again and rebuilds the index; the cached files
+// and the old index stay in use until the new downloads are complete.
+// `logger` (silent by default) takes the console's log calls while building.
+export async function ensureYearIndex(year, onStatus = () => {}, { force = false, logger = SILENT_LOGGER } = {}) {
+  if (force) {
+    clearDirectoryCache();
+  }
+
+  const filename = await getLatestStormFilename(year);
+  if (!filename) {
+    return null;
+  }
+  const locationsFilename = await getLatestStormFilename(year, "locations");
+
+  const manifest = readManifest(year);
+  if (
+    !force &&
+    manifest &&
+    manifest.source === filename &&
+    (manifest.locationsSource ?? null) === locationsFilename &&
+    manifest.version === INDEX_VERSION
+  ) {
+    return manifest;
+  }
+
+  if (!pendingBuilds.has(year)) {
+    pendingBuilds.set(
+      year,
+      buildYearIndex(year, filename, locationsFilename, onStatus, { logger, redownload: force })
+        .finally(() => pendingBuilds.delete(year))
+    );
+  }
+  return pendingBuilds.get(year);
+}
+
+// Parse a year's details file, with its locations file if NOAA publishes
+// one, and write its index. `redownload` fetches cached files again where
+// there is somewhere to download from. Returns the new manifest.
+export async function buildYearIndex(year, filename, locationsFilename = null, onStatus = () => {}, { logger = SILENT_LOGGER, redownload = false } = {}) {
+  const sources = [filename, locationsFilename].filter(Boolean);
+  if (redownload || sources.some((name) => !fs.existsSync(stormFilePath(name)))) {
+    onStatus("downloading");
+  }
+  for (const name of sources) {
+    await ensureFileDownloaded(name, { logger, replace: redownload });
+  }
+
+  onStatus("indexing");
+  logger.log(`  Indexing ${filename}...`);
+
+  let locations = new Map();
+  const byGroup = new Map();
+  const narratives = new Map();
+  const parser = parse({
+    columns: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true
+  });
+
+  parser.on("readable", () => {
+    let record;
+    while ((record = parser.read())) {
+      const group = groupForRecord(record);
+      if (!group) continue;
+      if (!byGroup.has(group)) {
+        byGroup.set(group, []);
+        narratives.set(group, { events: {}, episodes: {} });
+      }
+      record.LOCATIONS = locations.has(record.EVENT_ID) ? JSON.stringify(locations.get(record.EVENT_ID)) : "";
+      byGroup.get(group).push(INDEX_COLUMNS.map((column) => record[column] ?? ""));
+
+      const { events, episodes } = narratives.get(group);
+      if (record.EVENT_NARRATIVE) events[record.EVENT_ID] = record.EVENT_NARRATIVE;
+      if (record.EPISODE_NARRATIVE) episodes[record.EPISODE_ID] = record.EPISODE_NARRATIVE;
+    }
+  });
+
+  try {
+    if (locationsFilename) locations = await readLocations(locationsFilename);
+    await pipeline(fs.createReadStream(stormFilePath(filename)), zlib.createGunzip(), parser);
+  } catch (err) {
+    // Files cached before downloads were verified may be truncated. Drop
+    // them so the next query downloads them again.
+    if (canDownload()) sources.forEach(removeCachedFile);
+    throw err;
+  }
+
+  const yearDir = path.join(INDEX_DIR, String(year));
+  fs.rmSync(yearDir, { recursive: true, force: true });
+  fs.mkdirSync(yearDir, { recursive: true });
+
+  fs.mkdirSync(path.join(yearDir, "narratives"));
+
+  for (const [group, rows] of byGroup) {
+    const body = zlib.gzipSync(JSON.stringify({ columns: INDEX_COLUMNS, rows }));
+    fs.writeFileSync(path.join(yearDir, `${group}.json.gz`), body);
+    fs.writeFileSync(narrativesPath(year, group), zlib.gzipSync(JSON.stringify(narratives.get(group))));
+  }
+
+  // Written last, so an interrupted build is redone on the next query
+  const manifest = {
+    version: INDEX_VERSION,
+    source: filename,
+    locationsSource: locationsFilename,
+    builtAt: new Date().toISOString(),
+    groups: [...byGroup.keys()].sort(),
+    eventIdRanges: Object.fromEntries([...byGroup].map(([group, rows]) => [group, eventIdRange(rows)]))
+  };
+  fs.writeFileSync(path.join(yearDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+  for (const key of memoryCache.keys()) {
+    if (key.startsWith(`${year}/`)) forgetGroup(key);
+  }
+
+  logger.log(`  Indexed ${filename} (${manifest.groups.length} groups)`);
+  return manifest;
+}
+
+// Each indexed year's manifest, newest first, with whether it was built by
+// the current INDEX_VERSION
+export function listYearIndexes() {
+  return indexedYears()
+    .map((year) => ({ year, manifest: readManifest(year) }))
+    .filter(({ manifest }) => manifest)
+    .map(({ year, manifest }) => ({
+      year,
+      source: manifest.source,
+      locationsSource: manifest.locationsSource ?? null,
+      version: manifest.version,
+      current: manifest.version === INDEX_VERSION,
+      builtAt: manifest.builtAt,
+      groups: manifest.groups.length
+    }));
+}
+
+// The NOAA files a year's index was built from, as reported with search
+// results: { year, details, locations }, or null if the year is not indexed
+export function readYearSources(year) {
+  const manifest = readManifest(year);
+  if (!manifest) return null;
+  return { year, details: manifest.source, locations: manifest.locationsSource ?? null };
+}
+
+// Find a details record by NOAA EVENT_ID, with its EVENT_NARRATIVE and
+// EPISODE_NARRATIVE. With the event's begin `year` this is a single index
+// lookup (building the index if needed); without it, only years already
+// indexed are searched, newest first. Returns { year, record } or null.
+export async function findEventRecord(eventId, year = null, logger = SILENT_LOGGER) {
+  const years = year ? [year] : indexedYears();
+
+  for (const y of years) {
+    const manifest = year ? await ensureYearIndex(y, () => {}, { logger }) : readManifest(y);
+    if (!manifest || manifest.version !== INDEX_VERSION) continue;
+
+    for (const group of manifest.groups) {
+      const [min, max] = manifest.eventIdRanges[group] || [];
+      if (eventId < min || eventId > max) continue;
+
+      const record = readGroup(y, group, manifest.source).find((r) => Number(r.EVENT_ID) === eventId);
+      if (record) return { year: y, record: { ...record, ...readNarratives(y, group, record) } };
+    }
+  }
+  return null;
+}
+
+// An indexed record's reported path, as lists of [lat, lon] points: the
+// begin-to-end segment, and the points from the locations file (see
+// LOCATIONS above). Empty for records with no coordinates.
+export function readEventPaths(record) {
+  const paths = [];
+
+  const ends = [
+    [Number.parseFloat(record.BEGIN_LAT), Number.parseFloat(record.BEGIN_LON)],
+    [Number.parseFloat(record.END_LAT), Number.parseFloat(record.END_LON)]
+  ].filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon) && (lat !== 0 || lon !== 0));
+  if (ends.length > 0) paths.push(ends);
+
+  if (record.LOCATIONS) {
+    try {
+      const points = JSON.parse(record.LOCATIONS);
+      if (points.length > 0) paths.push(points);
+    } catch {
+      // A malformed LOCATIONS value just means no extra points
+    }
+  }
+  return paths;
+}
+
+// Index groups a search needs: the address's state, plus marine zones for
+// radius searches. null means every group (state unknown).
+export function groupsForSearch(stateFips, includeMarine) {
+  if (!stateFips) return null;
+  return includeMarine ? [stateFips, MARINE_GROUP] : [stateFips];
+}
+
+function groupForRecord(record) {
+  if ((record.CZ_TYPE || "").trim().toUpperCase() === "M") {
+    return MARINE_GROUP;
+  }
+  const stateFips = Number.parseInt(record.STATE_FIPS, 10);
+  return Number.isFinite(stateFips) ? String(stateFips).padStart(2, "0") : null;
+}
+
+// Read a locations file into EVENT_ID -> [[lat, lon], ...] in LOCATION_INDEX order
+async function readLocations(filename) {
+  const byEvent = new Map();
+  const parser = parse({
+    columns: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true
+  });
+
+  parser.on("readable", () => {
+    let record;
+    while ((record = parser.read())) {
+      const lat = Number.parseFloat(record.LATITUDE);
+      const lon = Number.parseFloat(record.LONGITUDE);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+      if (!byEvent.has(record.EVENT_ID)) byEvent.set(record.EVENT_ID, []);
+      byEvent.get(record.EVENT_ID).push({ index: Number(record.LOCATION_INDEX) || 0, point: [lat, lon] });
+    }
+  });
+
+  await pipeline(fs.createReadStream(stormFilePath(filename)), zlib.createGunzip(), parser);
+
+  const points = new Map();
+  for (const [eventId, entries] of byEvent) {
+    points.set(eventId, entries.sort((a, b) => a.index - b.index).map((entry) => entry.point));
+  }
+  return points;
+}
+
+function eventIdRange(rows) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const row of rows) {
+    const id = Number(row[EVENT_ID_COLUMN]);
+    if (!Number.isFinite(id)) continue;
+    if (id < min) min = id;
+    if (id > max) max = id;
+  }
+  return [min, max];
+}
+
+function indexedYears() {
+  if (!fs.existsSync(INDEX_DIR)) return [];
+  return fs.readdirSync(INDEX_DIR)
+    .filter((name) => /^\d{4}$/.test(name))
+    .map(Number)
+    .sort((a, b) => b - a);
+}
+
+function readManifest(year) {
+  const manifestPath = path.join(INDEX_DIR, String(year), "manifest.json");
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Narrative columns for one record, read from its group's narratives file
+function readNarratives(year, group, record) {
+  const { events, episodes } = JSON.parse(zlib.gunzipSync(fs.readFileSync(narrativesPath(year, group))));
+  return {
+    EVENT_NARRATIVE: events[record.EVENT_ID] ?? "",
+    EPISODE_NARRATIVE: episodes[record.EPISODE_ID] ?? ""
+  };
+}
+
+function narrativesPath(year, group) {
+  return path.join(INDEX_DIR, String(year), "narratives", `${group}.json.gz`);
+}
+
+function readGroup(year, group, source) {
+  const key = `${year}/${group}`;
+  const cached = memoryCache.get(key);
+  if (cached && cached.source === source) {
+    memoryCache.delete(key);
+    memoryCache.set(key, cached);
+    return cached.records;
+  }
+
+  const { columns, rows } = JSON.parse(
+    zlib.gunzipSync(fs.readFileSync(path.join(INDEX_DIR, String(year), `${group}.json.gz`)))
+  );
+  const records = rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+
+  forgetGroup(key);
+  while (memoryCache.size > 0 && memoryCacheRecords + records.length > MEMORY_CACHE_RECORDS) {
+    forgetGroup(memoryCache.keys().next().value);
+  }
+  // A group larger than the whole cache is not kept
+  if (records.length <= MEMORY_CACHE_RECORDS) {
+    memoryCache.set(key, { source, records });
+    memoryCacheRecords += records.length;
+  }
+  return records;
+}
+
+function forgetGroup(key) {
+  const cached = memoryCache.get(key);
+  if (!cached) return;
+  memoryCache.delete(key);
+  memoryCacheRecords -= cached.records.length;
+}
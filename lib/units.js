@@ -0,0 +1,79 @@
+// Wind speed units a report can be given in, as multiples of a knot. NOAA
+// publishes wind magnitudes in knots.
+export const WIND_UNITS = {
+  mph: { label: "mph", perKnot: 1.15078, decimals: 0 },
+  kmh: { label: "km/h", perKnot: 1.852, decimals: 0 },
+  knots: { label: "kt", perKnot: 1, decimals: 0 },
+  ms: { label: "m/s", perKnot: 0.514444, decimals: 1 }
+};
+export const DEFAULT_WIND_UNITS = "mph";
+
+// Beaufort force by lower bound in knots
+const BEAUFORT_SCALE = [
+  [0, "Calm"],
+  [1, "Light air"],
+  [4, "Light breeze"],
+  [7, "Gentle breeze"],
+  [11, "Moderate breeze"],
+  [17, "Fresh breeze"],
+  [22, "Strong breeze"],
+  [28, "Near gale"],
+  [34, "Gale"],
+  [41, "Strong gale"],
+  [48, "Storm"],
+  [56, "Violent storm"],
+  [64, "Hurricane force"]
+];
+
+// Saffir-Simpson hurricane category by lower bound in knots (1-minute sustained)
+const SAFFIR_SIMPSON_SCALE = [[137, 5], [113, 4], [96, 3], [83, 2], [64, 1]];
+
+// Read the `units` query value. Returns null for an unknown unit.
+export function parseWindUnits(value) {
+  const units = String(value || DEFAULT_WIND_UNITS).trim().toLowerCase().replace(/[^a-z]/g, "");
+  if (units === "kph") return "kmh";
+  if (units === "kt" || units === "kts") return "knots";
+  return WIND_UNITS[units] ? units : null;
+}
+
+export function convertKnots(knots, units) {
+  const { perKnot, decimals } = WIND_UNITS[units];
+  return Number((knots * perKnot).toFixed(decimals));
+}
+
+export function convertMph(mph, units) {
+  return convertKnots(mph / WIND_UNITS.mph.perKnot, units);
+}
+
+export function toMph(speed, units) {
+  return (speed / WIND_UNITS[units].perKnot) * WIND_UNITS.mph.perKnot;
+}
+
+export function beaufortForce(knots) {
+  let force = 0;
+  for (let i = 0; i < BEAUFORT_SCALE.length; i++) {
+    if (knots >= BEAUFORT_SCALE[i][0]) force = i;
+  }
+  return { force, description: BEAUFORT_SCALE[force][1] };
+}
+
+// Saffir-Simpson applies to sustained winds only, so gusts get no category
+export function saffirSimpsonCategory(knots, windSpeedType) {
+  if (windSpeedType !== "sustained") return null;
+  const match = SAFFIR_SIMPSON_SCALE.find(([min]) => knots >= min);
+  return match ? match[1] : null;
+}
+
+// Wind speed fields for a result in the requested units
+export function describeWindSpeed(measurement, units) {
+  const knots = measurement.windSpeedKnots;
+  if (knots === null) {
+    return { windSpeed: null, windUnits: units, beaufort: null, saffirSimpson: null };
+  }
+  return {
+    windSpeed: convertKnots(knots, units),
+    windUnits: units,
+    beaufort: beaufortForce(knots),
+    saffirSimpson: saffirSimpsonCategory(knots, measurement.windSpeedType)
+  };
+}
@@ -0,0 +1,572 @@
+import { parseDateRange, formatIsoDate, EARLIEST_YEAR } from "./dateRange.js";
+import { parseLossWindow, rankByCorroboration } from "./lossDate.js";
+import { geocodeCandidates, needsDisambiguation, describeCandidate } from "./geocoders/index.js";
+import { resolveCounty, resolveStateFips } from "./counties.js";
+import { parseLocationQuery, resolveDirectLocation, describeLocation, NOT_FOUND_MESSAGES } from "./location.js";
+import { findZonesForCounty, zoneIdForRecord, areaTypeForRecord } from "./zones.js";
+import { loadYearRecords, groupsForSearch, findEventRecord, readEventPaths, readYearSources } from "./stormIndex.js";
+import { categorizeEventType, parseEventCategories, readMeasurement, measurementKey } from "./eventTypes.js";
+import { readEventDetails } from "./eventDetails.js";
+import { readEventTimes } from "./eventTimes.js";
+import { readDamage, parseDamageQuery, summarizeDamage } from "./damage.js";
+import { summarizeEvents } from "./statistics.js";
+import { parseWindUnits, describeWindSpeed, convertMph } from "./units.js";
+import { parseSeverity, describeSeverity, isSevere } from "./severity.js";
+import { groupEpisodes } from "./episodes.js";
+import { distanceToPath } from "./geometry.js";
+import { SILENT_LOGGER } from "./logger.js";
+
+// The wind history search: geocode a location, read the NOAA Storm Events
+// records for each year of the range and return the matching events. The
+// Express server, the Vercel functions and the windreport CLI are adapters
+// over this module, and other Node services can embed it through
+// getWindHistory (the package's main entry point).
+
+// Search programmatically. `options`:
+//   location            an address string, or { address }, { lat, lon },
+//                       { fips } or { state, county }
+//   radius              miles around the address or point (default: the
+//                       whole county)
+//   range               { start, end } as YYYY-MM-DD strings or Dates (read as
+//                       UTC dates), either optional; or { years } back from
+//                       today. Defaults to the last 10 years.
+//   eventTypes          array of "wind" (default), "hail", "tornado", "other"
+//   lossDate, window    date-of-loss mode instead of a range
+//   units               "mph" (default), "kmh", "knots" or "ms"
+//   severity            { wind, hail, tornado } thresholds, wind in `units`
+//   sort, minDamage, currentDollars, includeCountyLevel, candidate
+//                       as the /api/windstorms parameters
+// `onProgress` receives the streaming endpoint's progress updates, and
+// `logger` (e.g. `console`) the search's log lines; the search is silent
+// without one. An AbortSignal `signal` cancels the search before its next
+// year. Resolves to the /api/windstorms response body. Rejects with an Error
+// whose `status` is the HTTP status the API would give: 400 for invalid
+// options, 404 for an unknown location, 300 for an ambiguous address (with
+// its `candidates`), 499 when cancelled, or 500.
+export async function getWindHistory(options = {}, { onProgress, loadRecords, logger, signal } = {}) {
+  const { status, body } = await searchWindstorms(toSearchQuery(options), onProgress, { loadRecords, logger, signal });
+  if (status === 200) {
+    return body;
+  }
+  throw Object.assign(new Error(body.error), { status, candidates: body.candidates || null });
+}
+
+// Run a windstorm search for the given query parameters, as the HTTP
+// endpoints receive them. `onProgress` is called with progress updates as the
+// search runs; `loadRecords` replaces loadYearRecords for a batch (see
+// createRecordLoader); `logger` takes the console's log, warn and error calls
+// (silent by default). Aborting `signal` (e.g. when the client disconnects)
+// stops the search between years with status 499. Resolves to the HTTP
+// status and response body.
+export async function searchWindstorms(query, onProgress = () => {}, { loadRecords = loadYearRecords, logger = SILENT_LOGGER, signal = null } = {}) {
+  try {
+    const location = parseLocationQuery(query);
+    if (!location) {
+      return { status: 400, body: { error: "Enter an address, lat and lon, a county FIPS code, or a state and county." } };
+    }
+
+    // Radius in miles (0 = county-wide, no filtering)
+    const radiusMiles = Math.max(0, Number(query.radius) || 0);
+
+    // Date-of-loss mode searches a window around the claimed date instead
+    const loss = query.lossDate ? parseLossWindow(query) : null;
+    if (query.lossDate && !loss) {
+      return { status: 400, body: { error: "Invalid loss date or window. Use a YYYY-MM-DD date and a window of 0-30 days." } };
+    }
+
+    const range = loss ? loss.range : parseDateRange(query);
+    if (!range) {
+      return { status: 400, body: { error: "Invalid date range. Use YYYY-MM-DD dates (or a number of years) from 1950 onward." } };
+    }
+
+    // County searches have no point to measure distance from
+    if (radiusMiles > 0 && (location.type === "fips" || location.type === "county")) {
+      return { status: 400, body: { error: "A radius needs an address or coordinates, not just a county." } };
+    }
+
+    const categories = parseEventCategories(query.eventTypes);
+    if (!categories) {
+      return { status: 400, body: { error: "Invalid eventTypes. Use a comma-separated list of wind, hail, tornado and other." } };
+    }
+
+    const display = parseDisplayQuery(query);
+    if (!display) {
+      return { status: 400, body: { error: "Invalid units or severity threshold. Use mph, kmh, knots or ms, and non-negative thresholds (tornado 0-5)." } };
+    }
+
+    // Radius searches can keep events with no coordinates, flagged county-level only
+    const includeCountyLevel = ["1", "true", "yes"].includes(String(query.includeCountyLevel || "").toLowerCase());
+
+    const damageQuery = parseDamageQuery(query);
+    if (!damageQuery) {
+      return { status: 400, body: { error: "Invalid sort or minDamage. Sort by date or damage, with minDamage a dollar amount." } };
+    }
+
+    const startYear = range.start.getUTCFullYear();
+    const endYear = range.end.getUTCFullYear();
+    const totalYears = endYear - startYear + 1;
+
+    logger.log(`[${new Date().toISOString()}] Searching for: ${describeLocation(location)} (radius: ${radiusMiles || 'county-wide'}, ${formatIsoDate(range.start)} to ${formatIsoDate(range.end)})`);
+
+    let geo;
+    if (location.type === "address") {
+      const { address } = location;
+      onProgress({ stage: "geocoding", address });
+      const candidates = await geocodeCandidates(address, { logger });
+      if (candidates.length === 0) {
+        return { status: 404, body: { error: "Could not find that address. Try including city and state." } };
+      }
+
+      // `candidate` picks one of the matches from a previous ambiguous response
+      const candidateIndex = query.candidate === undefined || query.candidate === "" ? null : Number(query.candidate);
+      if (candidateIndex !== null && !candidates[candidateIndex]) {
+        return { status: 400, body: { error: "Invalid candidate. Search again without it to see the matches." } };
+      }
+      if (candidateIndex === null && needsDisambiguation(candidates)) {
+        return {
+          status: 300,
+          body: {
+            error: "That address matches several places. Choose one and pass its index as candidate.",
+            address,
+            candidates: candidates.map(describeCandidate)
+          }
+        };
+      }
+
+      geo = candidates[candidateIndex ?? 0];
+
+      logger.log(`  Geocoded to: ${geo.county}, ${geo.state} (${geo.lat}, ${geo.lon})`);
+      geo.fips = resolveCounty(geo);
+    } else {
+      geo = resolveDirectLocation(location);
+      if (!geo) {
+        return { status: 404, body: { error: NOT_FOUND_MESSAGES[location.type] } };
+      }
+    }
+
+    if (geo.fips) {
+      logger.log(`  County FIPS: ${geo.fips.fips} (${geo.fips.name}, ${geo.fips.stateCode}; by ${geo.fips.method})`);
+    }
+
+    // Every forecast zone covering part of the county. For an address or
+    // point in a county split between zones, some of them may not cover it.
+    // Without the zone-county table, zone records are matched by county name.
+    const zones = findZonesForCounty(geo.fips, logger);
+    geo.zones = zones || [];
+    geo.zonesByName = zones === null;
+    const zonesApproximate = geo.zonesByName ||
+      (geo.zones.length > 1 && location.type !== "fips" && location.type !== "county");
+    if (geo.zones.length > 0) {
+      logger.log(`  Forecast zones: ${geo.zones.map((zone) => `${zone.id} (${zone.name})`).join(", ")}`);
+    }
+
+    onProgress({ stage: "geocoded", address: geo.displayName, county: geo.county, state: geo.state, totalYears });
+
+    const allEvents = [];
+    const missingYears = [];
+    const coveredYears = [];
+    for (let year = startYear; year <= endYear; year++) {
+      if (signal && signal.aborted) {
+        logger.log(`  Search cancelled before ${year}`);
+        return { status: 499, body: { error: "Search cancelled." } };
+      }
+      const completedYears = year - startYear;
+      const yearProgress = (status) => onProgress({ stage: "year", year, status, completedYears, totalYears });
+
+      try {
+        yearProgress("loading");
+        const events = await getWindEventsForYear(year, geo, range, categories, radiusMiles, yearProgress, loadRecords, logger);
+        if (events === null) {
+          missingYears.push(year);
+          onProgress({ stage: "year", year, status: "missing", completedYears: completedYears + 1, totalYears, eventsFound: allEvents.length });
+          continue;
+        }
+
+        const matched = filterByDistance(events, geo, radiusMiles, loss, includeCountyLevel).filter((event) => {
+          event.damage = readDamage(event.details, year, damageQuery.dollarYear);
+          return damageQuery.minDamage === null || (event.damage.total ?? 0) >= damageQuery.minDamage;
+        });
+        allEvents.push(...matched);
+        coveredYears.push(year);
+        logger.log(`  Year ${year}: ${events.length} events${radiusMiles > 0 ? `, ${matched.length} within ${radiusMiles}mi` : ""}`);
+
+        onProgress({
+          stage: "year",
+          year,
+          status: "done",
+          completedYears: completedYears + 1,
+          totalYears,
+          eventsFound: allEvents.length,
+          events: matched.map((event) => formatResult(event, display))
+        });
+      } catch (err) {
+        logger.error(`  Error processing year ${year}:`, err.message);
+        onProgress({ stage: "year", year, status: "error", completedYears: completedYears + 1, totalYears, eventsFound: allEvents.length });
+      }
+    }
+
+    // Sort by date descending (newest first)
+    allEvents.sort((a, b) => b.times.instant.getTime() - a.times.instant.getTime());
+
+    // The same event can be read twice (e.g. from a county and a marine
+    // group); records without an EVENT_ID fall back to date and magnitude
+    const seen = new Set();
+    const uniqueEvents = allEvents.filter((e) => {
+      const key = e.details.eventId ?? `${formatDate(e.date)}-${e.category}-${measurementKey(e.measurement)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (loss) {
+      rankByCorroboration(uniqueEvents, loss, radiusMiles);
+    }
+    const closestEvent = loss && uniqueEvents.length > 0 ? formatResult(uniqueEvents[0], display, loss) : null;
+
+    // Largest total damage first; events without an estimate last
+    if (damageQuery.sort === "damage") {
+      uniqueEvents.sort((a, b) => (b.damage.total ?? -1) - (a.damage.total ?? -1));
+    }
+
+    const results = uniqueEvents.map((event) => formatResult(event, display, loss));
+
+    // Annual statistics mean nothing over a date-of-loss window of a few days
+    const summary = loss ? null : summarizeEvents(uniqueEvents, coveredYears, display.units);
+
+    logger.log(`  Total unique events: ${results.length}`);
+
+    return {
+      status: 200,
+      body: {
+        address: geo.displayName,
+        county: geo.county,
+        state: geo.state,
+        stateCode: geo.stateCode || (geo.fips ? geo.fips.stateCode : null),
+        geocoder: geo.provider,
+        geocodePrecision: geo.precision,
+        point: Number.isFinite(geo.lat) && Number.isFinite(geo.lon) ? { lat: geo.lat, lon: geo.lon } : null,
+        radiusMiles: radiusMiles || null,
+        range: { start: formatIsoDate(range.start), end: formatIsoDate(range.end) },
+        fips: geo.fips
+          ? { code: geo.fips.fips, state: geo.fips.stateFips, county: geo.fips.countyFips, name: geo.fips.name, method: geo.fips.method }
+          : null,
+        zones: geo.zones.map((zone) => ({ id: zone.id, name: zone.name })),
+        zonesApproximate,
+        missingYears,
+        dataFiles: coveredYears.map(readYearSources).filter(Boolean),
+        eventTypes: [...categories],
+        lossDate: loss ? formatIsoDate(loss.date) : null,
+        windowDays: loss ? loss.windowDays : null,
+        closestEvent,
+        damage: { dollarYear: damageQuery.dollarYear, ...summarizeDamage(uniqueEvents) },
+        units: display.units,
+        severity: describeSeverity(display.severity, display.units),
+        summary: summary && { ...summary, maxWind: summary.maxWind && formatResult(summary.maxWind, display) },
+        results,
+        episodes: groupEpisodes(uniqueEvents).map((episode) => formatEpisode(episode, display))
+      }
+    };
+  } catch (error) {
+    logger.error("API Error:", error);
+    return { status: 500, body: { error: "Server error. Please try again." } };
+  }
+}
+
+// Look up an event by NOAA EVENT_ID. `logger` is as for searchWindstorms.
+// Resolves to the HTTP status and response body.
+export async function getEventDetails(eventIdParam, query, { logger = SILENT_LOGGER } = {}) {
+  try {
+    const eventId = Number(eventIdParam);
+    if (!Number.isInteger(eventId) || eventId <= 0) {
+      return { status: 400, body: { error: "Invalid event ID." } };
+    }
+
+    const year = query.year ? Number(query.year) : null;
+    if (year !== null && (!Number.isInteger(year) || year < EARLIEST_YEAR)) {
+      return { status: 400, body: { error: `Invalid year. Use a four-digit year from ${EARLIEST_YEAR} onward.` } };
+    }
+
+    const display = parseDisplayQuery(query);
+    if (!display) {
+      return { status: 400, body: { error: "Invalid units or severity threshold." } };
+    }
+
+    const found = await findEventRecord(eventId, year, logger);
+    if (!found) {
+      return { status: 404, body: { error: "Event not found. Pass its year if that year has not been searched yet." } };
+    }
+
+    return { status: 200, body: formatEventRecord(found.record, display) };
+  } catch (error) {
+    logger.error("API Error:", error);
+    return { status: 500, body: { error: "Server error. Please try again." } };
+  }
+}
+
+// getWindHistory options as the query parameters searchWindstorms reads
+function toSearchQuery(options) {
+  const { location, range = {}, severity = {} } = options;
+  const query = typeof location === "string" ? { address: location } : { ...location };
+  const params = {
+    radius: options.radius,
+    start: range.start instanceof Date ? formatIsoDate(range.start) : range.start,
+    end: range.end instanceof Date ? formatIsoDate(range.end) : range.end,
+    years: range.years,
+    eventTypes: Array.isArray(options.eventTypes) ? options.eventTypes.join(",") : options.eventTypes,
+    lossDate: options.lossDate instanceof Date ? formatIsoDate(options.lossDate) : options.lossDate,
+    window: options.window,
+    units: options.units,
+    severeWind: severity.wind,
+    severeHail: severity.hail,
+    severeTornado: severity.tornado,
+    sort: options.sort,
+    minDamage: options.minDamage,
+    currentDollars: options.currentDollars,
+    includeCountyLevel: options.includeCountyLevel,
+    candidate: options.candidate
+  };
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) query[name] = String(value);
+  }
+  return query;
+}
+
+// Calculate distances when filtering by radius or ranking a loss date, and
+// drop events outside the radius
+function filterByDistance(events, geo, radiusMiles, loss, includeCountyLevel) {
+  if ((radiusMiles > 0 || loss) && Number.isFinite(geo.lat)) {
+    for (const e of events) {
+      // Nearest point of the reported path, not just where it began
+      const distances = e.paths.map((path) => distanceToPath(geo.lat, geo.lon, path));
+      if (distances.length > 0) {
+        e.distanceMiles = Math.min(...distances);
+      }
+    }
+  }
+  if (radiusMiles > 0) {
+    return events.filter((e) => {
+      // Events without coordinates are only known to be in the county or
+      // zone, so they are left out unless asked for
+      if (e.paths.length === 0) return includeCountyLevel;
+      return e.distanceMiles <= radiusMiles;
+    });
+  }
+  return events;
+}
+
+// Units and severity thresholds for formatting results. Returns null if
+// either is invalid.
+function parseDisplayQuery(query) {
+  const units = parseWindUnits(query.units);
+  const severity = units ? parseSeverity(query, units) : null;
+  return severity ? { units, severity } : null;
+}
+
+// Magnitude fields plus the speed in the requested units, its Beaufort and
+// Saffir-Simpson classes, and whether it passes the severity threshold
+function formatMeasurement(category, measurement, display) {
+  return {
+    ...measurement,
+    ...(category === "wind" ? describeWindSpeed(measurement, display.units) : {}),
+    severe: isSevere(category, measurement, display.severity)
+  };
+}
+
+// A details record as returned by the event detail endpoint
+function formatEventRecord(record, display) {
+  const eventType = (record.EVENT_TYPE || "").trim();
+  const category = categorizeEventType(eventType);
+  const times = readEventTimes(record);
+  const details = readEventDetails(record, { narratives: true });
+  const damage = readDamage(details, times ? times.date.getUTCFullYear() : null);
+  return {
+    date: times ? formatDate(times.date) : null,
+    ...formatTimes(times),
+    eventType,
+    category,
+    ...formatMeasurement(category, readMeasurement(record, category), display),
+    areaType: areaTypeForRecord((record.CZ_TYPE || "").trim().toUpperCase()),
+    areaName: (record.CZ_NAME || "").trim(),
+    state: (record.STATE || "").trim() || null,
+    ...details,
+    damagePropertyUsd: damage.property,
+    damageCropsUsd: damage.crops,
+    damageTotalUsd: damage.total
+  };
+}
+
+function formatResult(event, display, loss = null) {
+  const result = {
+    date: formatDate(event.date),
+    ...formatTimes(event.times),
+    eventType: event.eventType,
+    category: event.category,
+    ...formatMeasurement(event.category, event.measurement, display),
+    areaType: event.areaType,
+    areaName: event.areaName,
+    distanceMiles: Number.isFinite(event.distanceMiles) ? Math.round(event.distanceMiles * 10) / 10 : null,
+    countyLevelOnly: event.paths.length === 0,
+    ...event.details,
+    damagePropertyUsd: event.damage.property,
+    damageCropsUsd: event.damage.crops,
+    damageTotalUsd: event.damage.total
+  };
+  if (loss) {
+    result.daysFromLoss = event.daysFromLoss;
+    result.matchScore = event.matchScore;
+  }
+  return result;
+}
+
+function formatEpisode(episode, display) {
+  return {
+    episodeId: episode.episodeId,
+    date: formatDate(episode.start),
+    endDate: formatDate(episode.end),
+    reports: episode.events.length,
+    eventTypes: [...episode.eventTypes],
+    eventIds: episode.events.map((event) => event.details.eventId),
+    peakWindSpeedMph: episode.peakWindMph,
+    peakWindSpeed: episode.peakWindMph !== null ? convertMph(episode.peakWindMph, display.units) : null,
+    windUnits: display.units,
+    maxHailSizeInches: episode.maxHailInches,
+    damageTotalUsd: episode.damageTotal,
+    severe: episode.events.some((event) => isSevere(event.category, event.measurement, display.severity))
+  };
+}
+
+async function getWindEventsForYear(year, geo, range, categories, radiusMiles, onStatus, loadRecords, logger) {
+  // Only the address's state (and marine zones for radius searches) is read from the index
+  const stateFips = geo.fips ? geo.fips.stateFips : resolveStateFips(geo.state);
+  const source = await loadRecords(year, groupsForSearch(stateFips, radiusMiles > 0), onStatus, logger);
+  if (!source) {
+    logger.log(`  No file found for year ${year}`);
+    return null;
+  }
+
+  const events = [];
+
+  const normalizedTargetCounty = normalizeName(geo.county);
+  const normalizedTargetState = normalizeName(geo.state);
+  
+  logger.log(`  Looking for: state="${normalizedTargetState}" county="${normalizedTargetCounty}"`);
+
+  let matchingEventsInState = 0;
+  let sampleCounties = new Set();
+
+  for (const record of source.records) {
+    const eventType = (record.EVENT_TYPE || "").trim();
+    const category = categorizeEventType(eventType);
+    if (!categories.has(category)) {
+      continue;
+    }
+
+    // CZ_TYPE: C = county, Z = forecast zone, M = marine zone
+    const czType = (record.CZ_TYPE || "").trim().toUpperCase();
+
+    // Marine zones belong to no state or county, so they only count in
+    // radius searches, where the distance filter decides
+    if (czType === "M") {
+      if (!radiusMiles) {
+        continue;
+      }
+    } else {
+      // Match by state
+      const recordState = normalizeName(record.STATE);
+      if (normalizedTargetState && recordState !== normalizedTargetState) {
+        continue;
+      }
+
+      matchingEventsInState++;
+
+      // Collect sample counties for debugging
+      const recordCounty = normalizeName(record.CZ_NAME);
+      if (sampleCounties.size < 10) {
+        sampleCounties.add(recordCounty);
+      }
+
+      if (geo.fips && czType === "C") {
+        // County records carry the county FIPS code, so match exactly
+        if (
+          Number(record.STATE_FIPS) !== Number(geo.fips.stateFips) ||
+          Number(record.CZ_FIPS) !== Number(geo.fips.countyFips)
+        ) {
+          continue;
+        }
+      } else if (geo.fips && czType === "Z" && !geo.zonesByName) {
+        // Zone records match a forecast zone of the county in the zone-county
+        // table; zones the table does not list for it are left out
+        if (!geo.zones.some((zone) => zone.id === zoneIdForRecord(geo.fips.stateCode, record.CZ_FIPS))) {
+          continue;
+        }
+      } else if (normalizedTargetCounty) {
+        // Without a county FIPS code (or, for zone records, the zone-county
+        // table), fall back to flexible name matching
+        const countyMatches = 
+          recordCounty === normalizedTargetCounty ||
+          recordCounty.includes(normalizedTargetCounty) ||
+          normalizedTargetCounty.includes(recordCounty) ||
+          // Handle case where one is abbreviated
+          recordCounty.split(" ")[0] === normalizedTargetCounty.split(" ")[0];
+        
+        if (!countyMatches) {
+          continue;
+        }
+      }
+    }
+
+    // Local date, compared with the range as a calendar date
+    const times = readEventTimes(record);
+    if (!times || times.date < range.start || times.date > range.end) {
+      continue;
+    }
+
+    const measurement = readMeasurement(record, category);
+
+    events.push({
+      date: times.date,
+      times,
+      eventType,
+      category,
+      measurement,
+      areaType: areaTypeForRecord(czType),
+      areaName: (record.CZ_NAME || "").trim(),
+      paths: readEventPaths(record),
+      details: readEventDetails(record)
+    });
+  }
+  
+  if (events.length === 0 && matchingEventsInState > 0) {
+    logger.log(`  Found ${matchingEventsInState} matching events in state but none in county.`);
+    logger.log(`  Sample counties in data: ${[...sampleCounties].join(", ")}`);
+  }
+  
+  return events;
+}
+
+// Local date and ISO-8601 begin and end times of an event
+function formatTimes(times) {
+  return {
+    localDate: times ? formatIsoDate(times.date) : null,
+    beginTime: times ? times.beginTime : null,
+    endTime: times ? times.endTime : null,
+    timezone: times ? times.timezone : null
+  };
+}
+
+function formatDate(date) {
+  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const day = String(date.getUTCDate()).padStart(2, "0");
+  const year = String(date.getUTCFullYear());
+  return `${month}/${day}/${year}`;
+}
+
+function normalizeName(value) {
+  if (!value) return "";
+  return String(value)
+    .toLowerCase()
+    .replace(/\s+county$/i, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { SILENT_LOGGER } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Copy of the NWS zone-county correlation table ("bp" file from
+// https://www.weather.gov/gis/ZoneCounty), saved in reference/ by
+// `npm run update-zones`.
+export const ZONE_TABLE_PATH = process.env.NWS_ZONE_COUNTY_FILE
+  || path.join(__dirname, "..", "reference", "nws-zone-county.dbx");
+
+let zoneTable;
+
+// Pipe-delimited, no header:
+// STATE|ZONE|CWA|NAME|STATE_ZONE|COUNTY|FIPS|TIME_ZONE|FE_AREA|LAT|LON
+function loadZoneTable(logger) {
+  if (zoneTable !== undefined) return zoneTable;
+
+  if (!fs.existsSync(ZONE_TABLE_PATH)) {
+    logger.warn(`  Zone-county table not found at ${ZONE_TABLE_PATH}; forecast-zone events will be matched by county name.`);
+    zoneTable = null;
+    return zoneTable;
+  }
+
+  const byCounty = new Map();
+  const lines = fs.readFileSync(ZONE_TABLE_PATH, "utf8").split(/\r?\n/);
+  for (const line of lines) {
+    const fields = line.split("|");
+    if (fields.length < 11) continue;
+
+    const [state, zone, cwa, name, stateZone, county, fips, timeZone] = fields;
+    const countyFips = fips.trim().padStart(5, "0");
+    if (!/^\d{5}$/.test(countyFips)) continue;
+
+    const entry = {
+      id: stateZone.trim() || `${state.trim()}${zone.trim().padStart(3, "0")}`,
+      name: name.trim(),
+      county: county.trim(),
+      cwa: cwa.trim(),
+      timeZone: timeZone.trim()
+    };
+
+    if (!byCounty.has(countyFips)) byCounty.set(countyFips, []);
+    byCounty.get(countyFips).push(entry);
+  }
+
+  zoneTable = byCounty;
+  return zoneTable;
+}
+
+// Every forecast zone covering part of a county. The table does not say which
+// part of a split county each zone covers, so an address in such a county is
+// matched against all of its zones. Empty when the table has no entry for the
+// county, and null when the table is unavailable (`logger` is warned once).
+export function findZonesForCounty(county, logger = SILENT_LOGGER) {
+  const table = loadZoneTable(logger);
+  if (!table) return null;
+  if (!county) return [];
+
+  const zones = table.get(county.fips) || [];
+  return [...new Map(zones.map((zone) => [zone.id, zone])).values()];
+}
+
+// NOAA details records identify zones by state and CZ_FIPS, e.g. OK + 60 -> "OK060"
+export function zoneIdForRecord(stateCode, czFips) {
+  return `${stateCode}${String(czFips || "").trim().padStart(3, "0")}`;
+}
+
+// CZ_TYPE: C = county/parish, Z = NWS public forecast zone, M = marine zone
+export function areaTypeForRecord(czType) {
+  if (czType === "Z") return "zone";
+  if (czType === "M") return "marine";
+  return "county";
+}
@@ -1,47 +1,409 @@
 const form = document.getElementById('search-form');
+const modeSelect = document.getElementById('mode-select');
+const addressFields = document.getElementById('address-fields');
 const addressInput = document.getElementById('address-input');
+const pointFields = document.getElementById('point-fields');
+const latInput = document.getElementById('lat-input');
+const lonInput = document.getElementById('lon-input');
+const countyFields = document.getElementById('county-fields');
+const stateInput = document.getElementById('state-input');
+const countyInput = document.getElementById('county-input');
 const radiusSelect = document.getElementById('radius-select');
+const periodSelect = document.getElementById('period-select');
+const customRange = document.getElementById('custom-range');
+const startInput = document.getElementById('start-input');
+const endInput = document.getElementById('end-input');
+const lossDateInput = document.getElementById('loss-date-input');
+const windowSelect = document.getElementById('window-select');
+const sortSelect = document.getElementById('sort-select');
+const unitsSelect = document.getElementById('units-select');
+const minDamageInput = document.getElementById('min-damage-input');
+const currentDollarsInput = document.getElementById('current-dollars-input');
+const countyLevelInput = document.getElementById('county-level-input');
 const searchBtn = document.getElementById('search-btn');
 const statusEl = document.getElementById('status');
 const resultsSection = document.getElementById('results-section');
 const resultsList = document.getElementById('results-list');
 const eventCount = document.getElementById('event-count');
+const viewToggle = document.getElementById('view-toggle');
 const locationInfo = document.getElementById('location-info');
 const noResults = document.getElementById('no-results');
+const lossMatch = document.getElementById('loss-match');
+const damageSummary = document.getElementById('damage-summary');
+const summaryEl = document.getElementById('summary');
+const reportDownloads = document.getElementById('report-downloads');
+const resultsMap = document.getElementById('results-map');
+const progressEl = document.getElementById('progress');
+const progressBar = document.getElementById('progress-bar');
+const candidatesSection = document.getElementById('candidates-section');
+const candidatesList = document.getElementById('candidates-list');
+const batchFields = document.getElementById('batch-fields');
+const batchInput = document.getElementById('batch-input');
+const batchSection = document.getElementById('batch-section');
+const batchCount = document.getElementById('batch-count');
+const batchDownloads = document.getElementById('batch-downloads');
+const batchTableBody = document.querySelector('#batch-table tbody');
+
+// How often a running batch job is checked
+const BATCH_POLL_MS = 2000;
+
+const YEAR_STATUS_LABELS = {
+  loading: 'Loading',
+  downloading: 'Downloading',
+  indexing: 'Parsing',
+  done: 'Finished',
+  missing: 'No NOAA data for',
+  error: 'Could not load'
+};
+
+// Report files a search can be downloaded as (the API's `format` values)
+const REPORT_FORMATS = [
+  ['csv', 'CSV'],
+  ['geojson', 'GeoJSON'],
+  ['txt', 'Text'],
+  ['pdf', 'PDF report']
+];
+
+// Last completed search, so the list can switch between reports and episodes
+let lastResults = null;
+
+// Object URLs of the current batch's downloads, when made in the browser
+let batchBlobUrls = [];
+
+const UNIT_LABELS = {
+  mph: 'mph',
+  kmh: 'km/h',
+  knots: 'kt',
+  ms: 'm/s'
+};
+
+// How closely the geocoder pinned down the address
+const PRECISION_LABELS = {
+  rooftop: 'exact address',
+  street: 'street',
+  zip: 'ZIP code',
+  city: 'city',
+  county: 'county',
+  state: 'state'
+};
+
+// NOAA reports events against a county, an NWS forecast zone or a marine zone
+const AREA_LABELS = {
+  county: 'County:',
+  zone: 'Forecast zone:',
+  marine: 'Marine zone:'
+};
 
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
+
+  if (modeSelect.value === 'batch') {
+    const options = readSearchOptions();
+    if (options) await runBatch(options);
+    return;
+  }
   
+  const location = readLocation();
+  if (!location) {
+    return;
+  }
+
+  const options = readSearchOptions();
+  if (!options) {
+    return;
+  }
+
+  await runSearch(new URLSearchParams({ ...location, ...Object.fromEntries(options) }));
+});
+
+// Search options other than the location, or null (after showing why) if
+// the inputs are incomplete
+function readSearchOptions() {
+  const eventTypes = [...form.querySelectorAll('input[name="eventTypes"]:checked')].map((box) => box.value);
+  if (eventTypes.length === 0) {
+    showStatus('Please choose at least one event type.', true);
+    return null;
+  }
+
+  const params = new URLSearchParams({ radius: radiusSelect.value, eventTypes: eventTypes.join(',') });
+  if (lossDateInput.value) {
+    // Date-of-loss mode replaces the time period
+    params.set('lossDate', lossDateInput.value);
+    params.set('window', windowSelect.value);
+  } else if (periodSelect.value === 'custom') {
+    if (!startInput.value && !endInput.value) {
+      showStatus('Please choose a start or end date.', true);
+      return null;
+    }
+    if (startInput.value) params.set('start', startInput.value);
+    if (endInput.value) params.set('end', endInput.value);
+  } else {
+    params.set('years', periodSelect.value);
+  }
+  if (sortSelect.value !== 'date') params.set('sort', sortSelect.value);
+  if (unitsSelect.value !== 'mph') params.set('units', unitsSelect.value);
+  if (minDamageInput.value) params.set('minDamage', minDamageInput.value);
+  if (currentDollarsInput.checked) params.set('currentDollars', 'true');
+  if (countyLevelInput.checked) params.set('includeCountyLevel', 'true');
+  return params;
+}
+
+// Location query params for the chosen search mode, or null (after showing
+// why) if the inputs are incomplete
+function readLocation() {
+  if (modeSelect.value === 'point') {
+    const lat = Number.parseFloat(latInput.value);
+    const lon = Number.parseFloat(lonInput.value);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      showStatus('Please enter a latitude and longitude.', true);
+      return null;
+    }
+    return { lat, lon };
+  }
+
+  if (modeSelect.value === 'county') {
+    const county = countyInput.value.trim();
+    if (/^\d{4,5}$/.test(county)) {
+      return { fips: county };
+    }
+    const state = stateInput.value.trim();
+    if (!state || !county) {
+      showStatus('Please enter a state and county, or a county FIPS code.', true);
+      return null;
+    }
+    return { state, county };
+  }
+
   const address = addressInput.value.trim();
   if (!address) {
     showStatus('Please enter an address.', true);
-    return;
+    return null;
   }
+  return { address };
+}
 
-  const radius = radiusSelect.value;
-
+async function runSearch(params) {
   setLoading(true);
   showStatus('Searching NOAA Storm Events database...');
   hideResults();
 
   try {
-    const url = `/api/windstorms?address=${encodeURIComponent(address)}&radius=${radius}`;
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await streamSearch(params);
+    if (data.candidates) {
+      showCandidates(data.candidates, params);
+    } else {
+      displayResults(data);
+      showReportDownloads(params);
+    }
+  } catch (err) {
+    console.error(err);
+    showStatus(err.message || 'Connection error. Please check your network and try again.', true);
+  } finally {
+    setLoading(false);
+    setProgress(null);
+  }
+}
 
+// Upload the chosen file as a batch job, then poll it until every location
+// is done
+async function runBatch(options) {
+  const file = batchInput.files[0];
+  if (!file) {
+    showStatus('Please choose a CSV or JSON file of addresses.', true);
+    return;
+  }
+
+  setLoading(true);
+  hideResults();
+  showStatus('Uploading batch...');
+
+  try {
+    // CSV goes as text/plain, which serverless platforms parse as readily as JSON
+    const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+    const response = await fetch(`/api/batch?${options}`, {
+      method: 'POST',
+      headers: { 'Content-Type': isJson ? 'application/json' : 'text/plain' },
+      body: await file.text()
+    });
+    let job = await response.json();
     if (!response.ok) {
-      showStatus(data.error || 'Request failed. Please try again.', true);
-      return;
+      throw new Error(job.error || 'Could not start the batch.');
     }
 
-    displayResults(data);
+    while (job.status !== 'done') {
+      showStatus(`Batch running: ${job.completed} of ${job.total} locations done...`);
+      setProgress(job.completed / job.total);
+      await new Promise((resolve) => setTimeout(resolve, BATCH_POLL_MS));
+
+      const poll = await fetch(`/api/batch/${job.jobId}`);
+      job = await poll.json();
+      if (!poll.ok) {
+        throw new Error(job.error || 'Lost track of the batch.');
+      }
+    }
+
+    showStatus(job.failed > 0 ? `${job.failed} location${job.failed !== 1 ? 's' : ''} could not be searched.` : '');
+    showBatch(job);
   } catch (err) {
     console.error(err);
-    showStatus('Connection error. Please check your network and try again.', true);
+    showStatus(err.message || 'Connection error. Please check your network and try again.', true);
   } finally {
     setLoading(false);
+    setProgress(null);
   }
-});
+}
+
+// Download buttons for the search just shown, one per report format
+function showReportDownloads(params) {
+  reportDownloads.innerHTML = '<span>Download:</span>';
+  for (const [format, label] of REPORT_FORMATS) {
+    const query = new URLSearchParams(params);
+    query.set('format', format);
+    const link = document.createElement('a');
+    link.href = `/api/windstorms?${query}`;
+    link.download = '';
+    link.textContent = label;
+    reportDownloads.appendChild(link);
+  }
+  reportDownloads.classList.remove('hidden');
+}
+
+// Per-location summaries of a finished batch, with its downloads
+function showBatch(job) {
+  batchCount.textContent = `${job.total} location${job.total !== 1 ? 's' : ''}`;
+  const [csvUrl, jsonUrl] = batchDownloadUrls(job);
+  const filename = `windreport-batch-${job.jobId.slice(0, 8)}`;
+  batchDownloads.innerHTML = `
+    Download all events:
+    <a href="${csvUrl}" download="${filename}.csv">CSV</a> ·
+    <a href="${jsonUrl}" download="${filename}.json">JSON</a>
+  `;
+
+  batchTableBody.innerHTML = '';
+  for (const item of job.items) {
+    const { summary } = item;
+    const cells = summary
+      ? [
+          item.id,
+          item.input + (summary.ambiguous ? ' (ambiguous; best match used)' : ''),
+          `${summary.county}, ${summary.state}`,
+          summary.events,
+          summary.severeEvents,
+          summary.maxWindSpeed !== null ? `${summary.maxWindSpeed} ${UNIT_LABELS[summary.windUnits]}` : '—',
+          summary.damageTotalUsd ? formatDollars(summary.damageTotalUsd) : '—'
+        ]
+      : [item.id, item.input, item.error || 'Not searched', '', '', '', ''];
+
+    const row = document.createElement('tr');
+    row.classList.toggle('error', item.status === 'error');
+    for (const value of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    batchTableBody.appendChild(row);
+  }
+  batchSection.classList.remove('hidden');
+}
+
+// CSV and JSON download URLs for a finished batch. Where the server keeps no
+// jobs (on Vercel the batch runs within the upload), the upload's response is
+// the JSON download and carries the CSV one, so the files are made here.
+function batchDownloadUrls(job) {
+  if (typeof job.csv !== 'string') {
+    return ['csv', 'json'].map((format) => `/api/batch/${job.jobId}/download?format=${format}`);
+  }
+  const { csv, ...results } = job;
+  batchBlobUrls = [
+    URL.createObjectURL(new Blob([csv], { type: 'text/csv' })),
+    URL.createObjectURL(new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' }))
+  ];
+  return batchBlobUrls;
+}
+
+// Ambiguous address: list the matches and rerun the search with the one chosen
+function showCandidates(candidates, params) {
+  showStatus('');
+  candidatesList.innerHTML = '';
+  candidates.forEach((candidate) => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    const name = document.createElement('span');
+    name.textContent = candidate.displayName;
+    const precision = document.createElement('span');
+    precision.className = 'precision';
+    precision.textContent = PRECISION_LABELS[candidate.precision] || '';
+    button.append(name, precision);
+    button.addEventListener('click', () => {
+      const chosen = new URLSearchParams(params);
+      chosen.set('candidate', candidate.index);
+      runSearch(chosen);
+    });
+    li.appendChild(button);
+    candidatesList.appendChild(li);
+  });
+  candidatesSection.classList.remove('hidden');
+}
+
+// Run the search over Server-Sent Events, showing progress and adding
+// events as each year is processed. Resolves with the final response body.
+function streamSearch(params) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/windstorms/stream?${params}`);
+    let streamedCount = 0;
+
+    source.addEventListener('progress', (e) => {
+      const progress = JSON.parse(e.data);
+
+      if (progress.stage === 'geocoding') {
+        showStatus('Finding address...');
+        setProgress(0);
+      } else if (progress.stage === 'geocoded') {
+        showStatus(`Found ${progress.address}. Loading NOAA data...`);
+        locationInfo.textContent = `📍 ${[progress.county, progress.state].filter(Boolean).join(', ')}`;
+      } else if (progress.stage === 'year') {
+        setProgress(progress.completedYears / progress.totalYears);
+        showStatus(`${YEAR_STATUS_LABELS[progress.status] || 'Processing'} ${progress.year}` +
+          (progress.eventsFound !== undefined ? ` · ${progress.eventsFound} events so far` : ''));
+
+        if (progress.events && progress.events.length > 0) {
+          resultsSection.classList.remove('hidden');
+          noResults.classList.add('hidden');
+          progress.events.forEach((item) => resultsList.appendChild(renderResultItem(item, streamedCount++)));
+          eventCount.textContent = `${streamedCount}+ events`;
+        }
+      }
+    });
+
+    source.addEventListener('result', (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+
+    // The address matched several places; resolves with { candidates }
+    source.addEventListener('candidates', (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+
+    source.addEventListener('failure', (e) => {
+      source.close();
+      reject(new Error(JSON.parse(e.data).error || 'Request failed. Please try again.'));
+    });
+
+    // Fired on network errors (EventSource would otherwise keep reconnecting)
+    source.onerror = () => {
+      source.close();
+      reject(new Error('Connection error. Please check your network and try again.'));
+    };
+  });
+}
+
+function setProgress(fraction) {
+  progressEl.classList.toggle('hidden', fraction === null);
+  progressBar.style.width = `${Math.round((fraction || 0) * 100)}%`;
+}
 
 function setLoading(isLoading) {
   searchBtn.disabled = isLoading;
@@ -55,21 +417,58 @@ function showStatus(message, isError = false) {
 }
 
 function hideResults() {
+  candidatesSection.classList.add('hidden');
+  candidatesList.innerHTML = '';
   resultsSection.classList.add('hidden');
   resultsList.innerHTML = '';
+  lossMatch.classList.add('hidden');
+  lossMatch.innerHTML = '';
+  damageSummary.classList.add('hidden');
+  damageSummary.innerHTML = '';
+  viewToggle.classList.add('hidden');
+  lastResults = null;
+  summaryEl.classList.add('hidden');
+  summaryEl.innerHTML = '';
+  reportDownloads.classList.add('hidden');
+  reportDownloads.innerHTML = '';
+  resultsMap.classList.add('hidden');
+  resultsMap.innerHTML = '';
+  batchSection.classList.add('hidden');
+  batchTableBody.innerHTML = '';
+  batchBlobUrls.forEach((url) => URL.revokeObjectURL(url));
+  batchBlobUrls = [];
 }
 
 function displayResults(data) {
-  const { address, county, state, radiusMiles, results } = data;
+  const { address, county, state, geocodePrecision, radiusMiles, fips, range, missingYears, lossDate, windowDays, closestEvent, damage, summary, results } = data;
 
   // Update location info
   const locationParts = [];
   if (county) locationParts.push(county);
   if (state) locationParts.push(state);
   let locationText = locationParts.length > 0 ? `📍 ${locationParts.join(', ')}` : address;
+  if (fips) {
+    locationText += ` (FIPS ${fips.code})`;
+  }
+  if (geocodePrecision && geocodePrecision !== 'rooftop') {
+    locationText += ` · located to ${PRECISION_LABELS[geocodePrecision]} level`;
+  }
   if (radiusMiles) {
     locationText += ` (within ${radiusMiles} miles)`;
   }
+  if (lossDate) {
+    locationText += ` · Loss date ${formatRangeDate(lossDate)} ± ${windowDays} day${windowDays !== 1 ? 's' : ''}`;
+  } else if (range) {
+    locationText += ` · ${formatRangeDate(range.start)} – ${formatRangeDate(range.end)}`;
+  }
+  if (missingYears && missingYears.length > 0) {
+    locationText += ` · No NOAA data for ${missingYears.join(', ')}`;
+  }
+  if (data.zonesApproximate) {
+    locationText += data.zones.length > 0
+      ? ' · Forecast-zone events from every zone of the county'
+      : ' · Forecast-zone events matched by county name';
+  }
   locationInfo.textContent = locationText;
 
   // Show results section
@@ -78,38 +477,363 @@ function displayResults(data) {
   if (!results || results.length === 0) {
     noResults.classList.remove('hidden');
     eventCount.textContent = '0 events';
-    const msg = radiusMiles 
-      ? `No wind storms found within ${radiusMiles} miles. Try increasing the radius.`
+    let msg = radiusMiles 
+      ? `No storm events found within ${radiusMiles} miles. Try increasing the radius.`
       : 'Search complete.';
+    if (lossDate) {
+      msg = 'No storm events found near the date of loss. Try widening the window or radius.';
+    }
     showStatus(msg, false);
     return;
   }
 
   noResults.classList.add('hidden');
-  eventCount.textContent = `${results.length} event${results.length !== 1 ? 's' : ''}`;
-  showStatus(`Found ${results.length} wind storm event${results.length !== 1 ? 's' : ''} in the past 10 years.`);
+  showStatus(lossDate
+    ? `Found ${results.length} storm event${results.length !== 1 ? 's' : ''} near the date of loss, best match first.`
+    : `Found ${results.length} storm event${results.length !== 1 ? 's' : ''} in the selected period.`);
+
+  if (closestEvent) {
+    showLossMatch(closestEvent);
+  }
+  if (damage && damage.total > 0) {
+    showDamageSummary(damage);
+  }
+  if (summary) {
+    showSummary(summary, data.units);
+  }
+
+  lastResults = data;
+  viewToggle.classList.remove('hidden');
+  renderList(viewToggle.querySelector('.active').dataset.view);
+  showMap(data);
+}
+
+// Map of the property and the events (public/map.js); the search still
+// stands if the map cannot be drawn
+async function showMap(data) {
+  try {
+    const map = await buildResultsMap(data, {
+      describe: (item) => `${item.date} · ${item.eventType} · ${formatMeasurement(item)}`,
+      onSelect: highlightResult,
+      unitLabel: UNIT_LABELS[data.units] || 'mph'
+    });
+    // Skip a map that finished after a newer search
+    if (!map || lastResults !== data) return;
+    resultsMap.innerHTML = '';
+    resultsMap.appendChild(map);
+    resultsMap.classList.remove('hidden');
+  } catch (err) {
+    console.error('Map error:', err);
+    resultsMap.classList.add('hidden');
+  }
+}
+
+// Scroll to the report for a clicked map marker
+function highlightResult(index) {
+  if (viewToggle.querySelector('.active').dataset.view !== 'reports') {
+    renderList('reports');
+  }
+  Array.from(resultsList.children).forEach((li, i) => li.classList.toggle('highlighted', i === index));
+  const li = resultsList.children[index];
+  if (li) li.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Show each NOAA report, or the reports grouped into storm episodes
+function renderList(view) {
+  viewToggle.querySelectorAll('button').forEach((button) => {
+    const active = button.dataset.view === view;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
 
-  // Render results
   resultsList.innerHTML = '';
-  results.forEach((item, index) => {
-    const li = document.createElement('li');
-    li.style.animationDelay = `${Math.min(index * 0.03, 0.5)}s`;
-    
-    const isSevere = item.windSpeedMph >= 75;
-    const distanceText = item.distanceMiles !== null ? ` · ${item.distanceMiles} mi away` : '';
-    
-    li.innerHTML = `
-      <span class="date">DATE: ${item.date}</span>
-      <span>
-        <span class="speed ${isSevere ? 'severe' : ''}">WIND SPEED: ${item.windSpeedMph} MPH</span>
-        <span class="event-type">${item.eventType || ''}${distanceText}</span>
-      </span>
-    `;
-    
-    resultsList.appendChild(li);
+  if (view === 'episodes') {
+    const { episodes, units } = lastResults;
+    eventCount.textContent = `${episodes.length} episode${episodes.length !== 1 ? 's' : ''}`;
+    episodes.forEach((episode, index) => resultsList.appendChild(renderEpisodeItem(episode, units, index)));
+  } else {
+    const { results } = lastResults;
+    eventCount.textContent = `${results.length} event${results.length !== 1 ? 's' : ''}`;
+    results.forEach((item, index) => resultsList.appendChild(renderResultItem(item, index)));
+  }
+}
+
+function renderEpisodeItem(episode, units, index) {
+  const li = document.createElement('li');
+  li.style.animationDelay = `${Math.min(index * 0.03, 0.5)}s`;
+
+  const dates = episode.endDate !== episode.date ? `${episode.date} – ${episode.endDate}` : episode.date;
+  const peak = [
+    episode.peakWindSpeed !== null ? `PEAK WIND: ${episode.peakWindSpeed} ${UNIT_LABELS[units].toUpperCase()}` : '',
+    episode.maxHailSizeInches !== null ? `HAIL: ${episode.maxHailSizeInches.toFixed(2)} IN` : ''
+  ].filter(Boolean).join(' · ') || episode.eventTypes.join(', ').toUpperCase();
+  const damageText = episode.damageTotalUsd ? ` · ${formatDollars(episode.damageTotalUsd)} damage` : '';
+
+  li.innerHTML = `
+    <span class="date">${dates}</span>
+    <span>
+      <span class="speed ${episode.severe ? 'severe' : ''}">${peak}</span>
+      <span class="event-type">${episode.reports} report${episode.reports !== 1 ? 's' : ''} · ${episode.eventTypes.join(', ')}${damageText}</span>
+    </span>
+  `;
+  return li;
+}
+
+function renderResultItem(item, index) {
+  const li = document.createElement('li');
+  li.style.animationDelay = `${Math.min(index * 0.03, 0.5)}s`;
+  
+  const distanceText = item.distanceMiles !== null ? ` · ${item.distanceMiles} mi away` : '';
+  const damageText = item.damageTotalUsd ? ` · ${formatDollars(item.damageTotalUsd)} damage` : '';
+  const areaText = item.areaType ? ` · ${AREA_LABELS[item.areaType]} ${item.areaName}` : '';
+  const scoreText = item.matchScore !== undefined
+    ? `<span class="match-score">${formatDaysFromLoss(item.daysFromLoss)} · match ${item.matchScore}%</span>`
+    : '';
+  
+  li.innerHTML = `
+    <span class="date">DATE: ${item.date}${item.beginTime ? ` · ${formatEventTimes(item)}` : ''}</span>
+    <span>
+      <span class="speed ${item.severe ? 'severe' : ''}">${formatMeasurement(item)}</span>
+      ${item.beaufort ? `<span class="wind-class">${formatWindClass(item)}</span>` : ''}
+      <span class="event-type">${item.eventType || ''}${areaText}${distanceText}${damageText}</span>
+      ${item.countyLevelOnly ? '<span class="county-level">county-level only</span>' : ''}
+      ${scoreText}
+    </span>
+  `;
+
+  // Rows expand to show the narrative and damage, fetched on first open
+  if (item.eventId) {
+    const details = document.createElement('div');
+    details.className = 'event-details hidden';
+    li.appendChild(details);
+    li.classList.add('expandable');
+    li.tabIndex = 0;
+    li.setAttribute('aria-expanded', 'false');
+
+    const toggle = () => {
+      const expanded = details.classList.toggle('hidden') === false;
+      li.setAttribute('aria-expanded', String(expanded));
+      if (expanded && !details.dataset.loaded) {
+        details.dataset.loaded = 'true';
+        loadEventDetails(item, details);
+      }
+    };
+    li.addEventListener('click', (e) => {
+      if (!details.contains(e.target)) toggle();
+    });
+    li.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target === li) toggle();
+    });
+  }
+  return li;
+}
+
+async function loadEventDetails(item, container) {
+  container.textContent = 'Loading event details...';
+  try {
+    // Dates arrive as MM/DD/YYYY; the year saves the server a search
+    const year = item.date.split('/')[2];
+    const response = await fetch(`/api/windstorms/events/${item.eventId}?year=${year}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Could not load event details.');
+    }
+    renderEventDetails(data, container);
+  } catch (err) {
+    console.error(err);
+    container.textContent = err.message || 'Could not load event details.';
+    delete container.dataset.loaded;
+  }
+}
+
+function renderEventDetails(event, container) {
+  container.innerHTML = '';
+
+  const facts = [
+    ['Event ID', event.eventId],
+    ['Source', event.source],
+    ['Property damage', event.damagePropertyUsd !== null ? formatDollars(event.damagePropertyUsd) : null],
+    ['Crop damage', event.damageCropsUsd !== null ? formatDollars(event.damageCropsUsd) : null],
+    ['Injuries', formatCasualties(event.injuriesDirect, event.injuriesIndirect)],
+    ['Deaths', formatCasualties(event.deathsDirect, event.deathsIndirect)],
+    ['Begins', formatCoordinates(event.beginLat, event.beginLon)],
+    ['Ends', formatCoordinates(event.endLat, event.endLon)]
+  ];
+  const list = document.createElement('dl');
+  facts.filter(([, value]) => value !== null && value !== undefined).forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    list.append(dt, dd);
   });
+  container.appendChild(list);
+
+  [['Event narrative', event.eventNarrative], ['Episode narrative', event.episodeNarrative]].forEach(([label, text]) => {
+    if (!text) return;
+    const heading = document.createElement('h3');
+    heading.textContent = label;
+    const paragraph = document.createElement('p');
+    paragraph.textContent = text;
+    container.append(heading, paragraph);
+  });
+}
+
+function formatCasualties(direct, indirect) {
+  if (direct === null && indirect === null) return null;
+  return `${direct || 0} direct, ${indirect || 0} indirect`;
+}
+
+function formatCoordinates(lat, lon) {
+  return lat !== null && lon !== null ? `${lat}, ${lon}` : null;
+}
+
+function showLossMatch(event) {
+  const distanceText = event.distanceMiles !== null
+    ? `<strong>${event.distanceMiles} mi</strong> from the property`
+    : 'county-level report (no coordinates)';
+
+  lossMatch.innerHTML = `
+    <span class="label">Closest match to date of loss</span>
+    ${event.date}${event.beginTime ? ` ${formatEventTimes(event)}` : ''} (${formatDaysFromLoss(event.daysFromLoss)}) ·
+    <strong>${formatMeasurement(event)}</strong> · ${distanceText}
+  `;
+  lossMatch.classList.remove('hidden');
+}
+
+// Totals for the area, then the costliest years and event types
+function showDamageSummary(damage) {
+  const dollarsNote = damage.dollarYear ? ` in ${damage.dollarYear} dollars` : '';
+  const topYears = [...damage.byYear].sort((a, b) => b.total - a.total).slice(0, 3).filter((row) => row.total > 0);
+  const topTypes = damage.byEventType.slice(0, 3).filter((row) => row.total > 0);
+
+  damageSummary.innerHTML = `
+    <span class="label">Reported damage${dollarsNote}</span>
+    <strong>${formatDollars(damage.total)}</strong> total ·
+    ${formatDollars(damage.property)} property · ${formatDollars(damage.crops)} crops
+    <div class="damage-breakdown">
+      <span>Costliest years: ${topYears.map((row) => `${row.year} (${formatDollars(row.total)})`).join(', ')}</span>
+      <span>By event type: ${topTypes.map((row) => `${row.eventType} (${formatDollars(row.total)})`).join(', ')}</span>
+    </div>
+  `;
+  damageSummary.classList.remove('hidden');
+}
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Headline statistics, return-period speeds and a month-by-month bar chart
+function showSummary(summary, units) {
+  const unit = UNIT_LABELS[units] || 'mph';
+  // The strongest report may be a gust or a sustained speed, e.g. "93 mph measured gust"
+  const maxWind = summary.maxWind;
+  const maxWindKind = maxWind ? [maxWind.windMeasurement, maxWind.windSpeedType].filter(Boolean).join(' ') : '';
+  const stats = [
+    ['Events per year', summary.eventsPerYear ?? '—'],
+    ['Max wind', maxWind ? `${maxWind.windSpeed} ${unit}${maxWindKind ? ` ${maxWindKind}` : ''} (${maxWind.date})` : '—'],
+    ...summary.windThresholds.map((row) => [`≥ ${row.windSpeed} ${unit}`, `${row.events} event${row.events !== 1 ? 's' : ''}`]),
+    ...summary.returnPeriods.map((row) => [
+      `${row.years}-year wind`,
+      row.windSpeed !== null ? `${row.windSpeed} ${unit}` : 'not enough data'
+    ])
+  ];
+  const busiestMonth = Math.max(1, ...summary.byMonth.map((row) => row.events));
+
+  summaryEl.innerHTML = `
+    <span class="label">Summary · ${summary.years} year${summary.years !== 1 ? 's' : ''} of NOAA data</span>
+    <dl class="summary-stats">
+      ${stats.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+    </dl>
+    <div class="seasonality" aria-label="Events by month">
+      ${summary.byMonth.map((row) => `
+        <div class="month" title="${row.events} event${row.events !== 1 ? 's' : ''}">
+          <span class="bar" style="height: ${Math.round((row.events / busiestMonth) * 100)}%"></span>
+          <span class="month-name">${MONTH_NAMES[row.month - 1]}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+  summaryEl.classList.remove('hidden');
+}
+
+function formatDollars(amount) {
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
 }
 
+function formatMeasurement(item) {
+  switch (item.category) {
+    case 'wind': {
+      if (item.magnitudeMissing) return 'WIND SPEED: NOT REPORTED';
+      // e.g. "WIND SPEED: 69 MPH (60 KT MEASURED GUST)"; knots as published by NOAA
+      const kind = [item.windMeasurement, item.windSpeedType].filter(Boolean).join(' ').toUpperCase();
+      const raw = [item.windUnits !== 'knots' ? `${item.windSpeedKnots} KT` : '', kind].filter(Boolean).join(' ');
+      return `WIND SPEED: ${item.windSpeed} ${UNIT_LABELS[item.windUnits].toUpperCase()}${raw ? ` (${raw})` : ''}`;
+    }
+    case 'hail':
+      return item.hailSizeInches !== null ? `HAIL: ${item.hailSizeInches.toFixed(2)} IN` : 'HAIL: SIZE N/A';
+    case 'tornado': {
+      const path = item.tornadoLengthMiles !== null ? ` · ${item.tornadoLengthMiles} MI PATH` : '';
+      return `TORNADO: ${item.tornadoScale || 'UNRATED'}${path}`;
+    }
+    default:
+      return item.magnitude !== null
+        ? `${item.eventType.toUpperCase()}: ${item.magnitude}${item.magnitudeType ? ` ${item.magnitudeType}` : ''}`
+        : item.eventType.toUpperCase();
+  }
+}
+
+// Beaufort force, plus the Saffir-Simpson category for hurricane-force sustained winds
+function formatWindClass(item) {
+  const beaufort = `Beaufort ${item.beaufort.force} · ${item.beaufort.description}`;
+  return item.saffirSimpson ? `${beaufort} · Cat ${item.saffirSimpson}` : beaufort;
+}
+
+// Local start and end time, e.g. "21:30–21:45 CST", with the end date if
+// the event ran past midnight
+function formatEventTimes(item) {
+  const begin = item.beginTime.slice(11, 16);
+  const zone = item.timezone ? ` ${item.timezone.replace(/[-+]?\d+$/, '')}` : '';
+  if (!item.endTime) return `${begin}${zone}`;
+
+  const sameDay = item.endTime.slice(0, 10) === item.beginTime.slice(0, 10);
+  const end = sameDay ? item.endTime.slice(11, 16) : `${formatRangeDate(item.endTime.slice(0, 10))} ${item.endTime.slice(11, 16)}`;
+  return `${begin}–${end}${zone}`;
+}
+
+function formatDaysFromLoss(days) {
+  if (days === 0) return 'same day';
+  const count = Math.abs(days);
+  return `${count} day${count !== 1 ? 's' : ''} ${days < 0 ? 'before' : 'after'}`;
+}
+
+// range dates arrive as YYYY-MM-DD
+function formatRangeDate(value) {
+  const [year, month, day] = value.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+// County searches are always county-wide; there is no point to measure a radius from
+modeSelect.addEventListener('change', () => {
+  const mode = modeSelect.value;
+  addressFields.classList.toggle('hidden', mode !== 'address');
+  pointFields.classList.toggle('hidden', mode !== 'point');
+  countyFields.classList.toggle('hidden', mode !== 'county');
+  batchFields.classList.toggle('hidden', mode !== 'batch');
+  if (mode === 'county') {
+    radiusSelect.value = '0';
+  }
+  radiusSelect.disabled = mode === 'county';
+  countyLevelInput.disabled = mode === 'county';
+});
+
+viewToggle.addEventListener('click', (e) => {
+  const button = e.target.closest('button');
+  if (button && lastResults) renderList(button.dataset.view);
+});
+
+periodSelect.addEventListener('change', () => {
+  customRange.classList.toggle('hidden', periodSelect.value !== 'custom');
+});
+
 // Allow Enter key to submit
 addressInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter' && !searchBtn.disabled) {
@@ -0,0 +1,273 @@
+// Results map: the property, the search radius and each event with
+// coordinates, drawn as SVG in Web Mercator. The base layer comes from
+// /api/map: the bundled county and state outlines, so the map works without
+// internet access, under raster tiles when the server is configured with them.
+
+// SVG viewBox proportions; the map scales to the width of the results card
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 450;
+const TILE_SIZE = 256;
+const MAX_TILE_ZOOM = 18;
+
+// Matches the server's limit on the outlines it sends
+const MAX_MAP_SPAN_DEGREES = 15;
+
+const MILES_PER_DEGREE_LAT = 69.05;
+const EARTH_CIRCUMFERENCE_MILES = 24901;
+
+// Marker colours by wind speed in mph, strongest first; events without a
+// speed (hail, tornadoes, unreported wind) are grey
+const SPEED_COLOURS = [
+  { mph: 100, colour: '#e11d48' },
+  { mph: 75, colour: '#f97316' },
+  { mph: 58, colour: '#fbbf24' },
+  { mph: 0, colour: '#22d3ee' }
+];
+const NO_SPEED_COLOUR = '#8899b0';
+
+// Miles per hour in each of the search's wind units, for the legend
+const UNITS_PER_MPH = { mph: 1, kmh: 1.609344, knots: 0.868976, ms: 0.44704 };
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Build the map for a search response. `describe(item)` labels a marker,
+// `onSelect(index)` is called with a result's index when its marker is
+// clicked, and `unitLabel` names the search's wind units. Resolves to the
+// map element, or null if the search has nothing to place on a map.
+async function buildResultsMap(data, { describe, onSelect, unitLabel }) {
+  const located = data.results
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => Number.isFinite(item.beginLat) && Number.isFinite(item.beginLon));
+
+  // A radius search shows its circle; anything else shows the whole county
+  const params = new URLSearchParams();
+  const box = mapBounds(data, located);
+  if (box) params.set('bbox', box.map((value) => value.toFixed(4)).join(','));
+  if (data.fips && !data.radiusMiles) params.set('fips', data.fips.code);
+  if (!params.toString()) return null;
+
+  const response = await fetch(`/api/map?${params}`);
+  const base = await response.json();
+  if (!response.ok) {
+    throw new Error(base.error || 'Could not load the map.');
+  }
+
+  const view = fitView(base.bbox);
+  const svg = createSvgElement('svg', {
+    viewBox: `${view.x} ${view.y} ${view.width} ${view.height}`,
+    class: `map-svg${base.tiles ? ' tiled' : ''}`,
+    role: 'img',
+    'aria-label': 'Map of the property and storm events'
+  });
+
+  if (base.tiles) {
+    drawTiles(svg, view, base.tiles.url);
+  }
+  for (const feature of base.counties.features) {
+    const searched = data.fips && feature.properties.fips === data.fips.code;
+    svg.appendChild(createSvgElement('path', {
+      d: outlinePath(feature.geometry, view.zoom),
+      class: `map-county${searched ? ' searched' : ''}`
+    }));
+  }
+  for (const feature of base.states.features) {
+    svg.appendChild(createSvgElement('path', { d: outlinePath(feature.geometry, view.zoom), class: 'map-state' }));
+  }
+
+  if (data.point && data.radiusMiles) {
+    const [cx, cy] = project(data.point.lon, data.point.lat, view.zoom);
+    const milesPerPixel = (EARTH_CIRCUMFERENCE_MILES * Math.cos((data.point.lat * Math.PI) / 180)) / (TILE_SIZE * 2 ** view.zoom);
+    svg.appendChild(createSvgElement('circle', { cx, cy, r: data.radiusMiles / milesPerPixel, class: 'map-radius' }));
+  }
+
+  // Strongest events are drawn last, on top
+  const markerRadius = view.width / 110;
+  const markers = [];
+  const byStrength = [...located].sort((a, b) => (a.item.windSpeedMph ?? -1) - (b.item.windSpeedMph ?? -1));
+  for (const { item, index } of byStrength) {
+    const [cx, cy] = project(item.beginLon, item.beginLat, view.zoom);
+    const marker = createSvgElement('circle', {
+      cx,
+      cy,
+      r: markerRadius,
+      fill: markerColour(item),
+      class: 'map-event',
+      tabindex: 0,
+      role: 'button'
+    });
+    const title = createSvgElement('title');
+    title.textContent = describe(item);
+    marker.appendChild(title);
+
+    const select = () => {
+      markers.forEach((other) => other.classList.toggle('selected', other === marker));
+      onSelect(index);
+    };
+    marker.addEventListener('click', select);
+    marker.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') select();
+    });
+    markers.push(marker);
+    svg.appendChild(marker);
+  }
+
+  if (data.point) {
+    const [x, y] = project(data.point.lon, data.point.lat, view.zoom);
+    const size = markerRadius * 1.6;
+    const property = createSvgElement('path', {
+      d: `M${x} ${y - size}L${x + size} ${y}L${x} ${y + size}L${x - size} ${y}Z`,
+      class: 'map-property'
+    });
+    const title = createSvgElement('title');
+    title.textContent = data.address;
+    property.appendChild(title);
+    svg.appendChild(property);
+  }
+
+  const map = document.createElement('div');
+  map.appendChild(svg);
+  map.appendChild(buildLegend(data, located.length, unitLabel));
+
+  const attribution = document.createElement('div');
+  attribution.className = 'map-attribution';
+  attribution.textContent = base.tiles && base.tiles.attribution
+    ? `${base.tiles.attribution} · Outlines: US Census Bureau`
+    : 'Outlines: US Census Bureau';
+  map.appendChild(attribution);
+  return map;
+}
+
+// [west, south, east, north] around the search radius, or around the mapped
+// events and the property; null if there is nothing to frame or it is too
+// wide to outline (the county's bounds are used instead)
+function mapBounds(data, located) {
+  const lats = located.map(({ item }) => item.beginLat);
+  const lons = located.map(({ item }) => item.beginLon);
+  if (data.point) {
+    lats.push(data.point.lat);
+    lons.push(data.point.lon);
+    if (data.radiusMiles) {
+      const latMiles = data.radiusMiles / MILES_PER_DEGREE_LAT;
+      const lonMiles = latMiles / Math.cos((data.point.lat * Math.PI) / 180);
+      lats.push(data.point.lat - latMiles, data.point.lat + latMiles);
+      lons.push(data.point.lon - lonMiles, data.point.lon + lonMiles);
+    }
+  }
+  if (lats.length === 0) return null;
+
+  // A margin of a tenth, and at least a few miles around a lone point
+  const west = Math.min(...lons);
+  const east = Math.max(...lons);
+  const south = Math.min(...lats);
+  const north = Math.max(...lats);
+  const lonMargin = Math.max((east - west) * 0.1, 0.05);
+  const latMargin = Math.max((north - south) * 0.1, 0.05);
+  const box = [west - lonMargin, south - latMargin, east + lonMargin, north + latMargin];
+  if (box[2] - box[0] > MAX_MAP_SPAN_DEGREES || box[3] - box[1] > MAX_MAP_SPAN_DEGREES) return null;
+  return box;
+}
+
+// The largest whole tile zoom at which the box fits the map, and the box in
+// pixels at that zoom, widened to the map's proportions
+function fitView([west, south, east, north]) {
+  const [x0, y0] = project(west, north, 0);
+  const [x1, y1] = project(east, south, 0);
+  const fit = Math.min(MAP_WIDTH / (x1 - x0), MAP_HEIGHT / (y1 - y0));
+  const zoom = Math.max(0, Math.min(MAX_TILE_ZOOM, Math.floor(Math.log2(fit))));
+  const scale = 2 ** zoom;
+
+  let width = (x1 - x0) * scale;
+  let height = (y1 - y0) * scale;
+  if (width / height > MAP_WIDTH / MAP_HEIGHT) {
+    height = (width * MAP_HEIGHT) / MAP_WIDTH;
+  } else {
+    width = (height * MAP_WIDTH) / MAP_HEIGHT;
+  }
+  const centerX = ((x0 + x1) / 2) * scale;
+  const centerY = ((y0 + y1) / 2) * scale;
+  return { zoom, x: centerX - width / 2, y: centerY - height / 2, width, height };
+}
+
+// Web Mercator pixel coordinates at a tile zoom level
+function project(lon, lat, zoom) {
+  const size = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [((lon + 180) / 360) * size, (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size];
+}
+
+// Tiles from an XYZ template ({z}/{x}/{y}) covering the view
+function drawTiles(svg, view, url) {
+  const count = 2 ** view.zoom;
+  const firstX = Math.floor(view.x / TILE_SIZE);
+  const lastX = Math.floor((view.x + view.width) / TILE_SIZE);
+  const firstY = Math.max(0, Math.floor(view.y / TILE_SIZE));
+  const lastY = Math.min(count - 1, Math.floor((view.y + view.height) / TILE_SIZE));
+
+  for (let x = firstX; x <= lastX; x++) {
+    for (let y = firstY; y <= lastY; y++) {
+      const tileX = ((x % count) + count) % count;
+      const href = url.replace('{z}', view.zoom).replace('{x}', tileX).replace('{y}', y);
+      svg.appendChild(createSvgElement('image', {
+        href,
+        x: x * TILE_SIZE,
+        y: y * TILE_SIZE,
+        width: TILE_SIZE,
+        height: TILE_SIZE,
+        class: 'map-tile'
+      }));
+    }
+  }
+}
+
+function outlinePath(geometry, zoom) {
+  return geometry.coordinates
+    .map((rings) => rings
+      .map((ring) => `M${ring.map(([lon, lat]) => project(lon, lat, zoom).map((value) => value.toFixed(1)).join(' ')).join('L')}Z`)
+      .join(''))
+    .join('');
+}
+
+function markerColour(item) {
+  if (item.category !== 'wind' || item.windSpeedMph === null) return NO_SPEED_COLOUR;
+  return SPEED_COLOURS.find((band) => item.windSpeedMph >= band.mph).colour;
+}
+
+// Speed bands in the search's units, and how many events could not be placed
+function buildLegend(data, mappedCount, unitLabel) {
+  const perMph = UNITS_PER_MPH[data.units] || 1;
+  const bands = SPEED_COLOURS.map((band, i) => [
+    band.colour,
+    i === SPEED_COLOURS.length - 1
+      ? `under ${Math.round(SPEED_COLOURS[i - 1].mph * perMph)} ${unitLabel}`
+      : `${Math.round(band.mph * perMph)}+ ${unitLabel}`
+  ]);
+  bands.push([NO_SPEED_COLOUR, 'no wind speed']);
+
+  const legend = document.createElement('div');
+  legend.className = 'map-legend';
+  for (const [colour, label] of bands) {
+    const entry = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = colour;
+    entry.append(swatch, label);
+    legend.appendChild(entry);
+  }
+
+  const unmapped = data.results.length - mappedCount;
+  if (unmapped > 0) {
+    const note = document.createElement('span');
+    note.className = 'map-note';
+    note.textContent = `${unmapped} report${unmapped !== 1 ? 's' : ''} without coordinates not shown`;
+    legend.appendChild(note);
+  }
+  return legend;
+}
+
+function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) {
+    element.setAttribute(key, value);
+  }
+  return element;
+}
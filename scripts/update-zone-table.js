@@ -0,0 +1,51 @@
+// Download the latest NWS zone-county correlation table into reference/.
+// Usage: node scripts/update-zone-table.js [url-of-bp-file]
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { ZONE_TABLE_PATH } from "../lib/zones.js";
+
+const ZONE_COUNTY_PAGE = "https://www.weather.gov/gis/ZoneCounty";
+const MONTHS = { ja: 1, fe: 2, mr: 3, ap: 4, my: 5, jn: 6, jl: 7, au: 8, se: 9, oc: 10, no: 11, de: 12 };
+
+async function findLatestTableUrl() {
+  const response = await fetch(ZONE_COUNTY_PAGE);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${ZONE_COUNTY_PAGE}`);
+  }
+
+  // Files are named bpDDmmYY.dbx, e.g. bp05mr24.dbx
+  const html = await response.text();
+  const regex = /href="([^"]*bp(\d{2})([a-z]{2})(\d{2})\.dbx)"/gi;
+  const matches = [];
+
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    const [, href, day, month, year] = match;
+    const monthNumber = MONTHS[month.toLowerCase()];
+    if (!monthNumber) continue;
+    matches.push({
+      url: new URL(href, ZONE_COUNTY_PAGE).toString(),
+      sortKey: `${year}${String(monthNumber).padStart(2, "0")}${day}`
+    });
+  }
+
+  if (matches.length === 0) {
+    throw new Error("No zone-county correlation file found on the NWS page.");
+  }
+
+  matches.sort((a, b) => b.sortKey.localeCompare(a.sortKey));
+  return matches[0].url;
+}
+
+const url = process.argv[2] || await findLatestTableUrl();
+console.log(`Downloading ${url}...`);
+
+const response = await fetch(url);
+if (!response.ok) {
+  throw new Error(`Failed to download ${url}`);
+}
+
+fs.mkdirSync(path.dirname(ZONE_TABLE_PATH), { recursive: true });
+await pipeline(response.body, fs.createWriteStream(ZONE_TABLE_PATH));
+console.log(`Saved ${ZONE_TABLE_PATH}`);
@@ -1,10 +1,11 @@
 import express from "express";
-import fs from "fs";
 import path from "path";
-import zlib from "zlib";
 import { fileURLToPath } from "url";
-import { pipeline } from "stream/promises";
-import { parse } from "csv-parse";
+import { searchWindstorms, getEventDetails } from "./lib/windHistory.js";
+import { handleCacheAdmin } from "./lib/cacheAdmin.js";
+import { handleMapRequest } from "./lib/basemap.js";
+import { parseBatchInput, startBatchJob, getBatchJob, describeBatchJob, formatBatchDownload } from "./lib/batch.js";
+import { REPORT_FORMATS, parseReportFormat, formatReport } from "./lib/reportFormats.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,396 +13,120 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const NOAA_DIR_URL = "https://www.ncei.noaa.gov/pub/data/swdi/stormevents/csvfiles/";
-// Use /tmp on Vercel (serverless), local data dir otherwise
-const CACHE_DIR = process.env.VERCEL 
-  ? "/tmp/noaa" 
-  : path.join(__dirname, "data", "noaa");
-
-const WIND_EVENT_TYPES = new Set([
-  "High Wind",
-  "Thunderstorm Wind",
-  "Marine Thunderstorm Wind",
-  "Marine High Wind",
-  "Strong Wind",
-  "Tropical Storm",
-  "Hurricane",
-  "Hurricane (Typhoon)"
-]);
-
-// Cache for NOAA directory listing
-let directoryCache = { html: null, timestamp: 0 };
-const DIRECTORY_CACHE_TTL = 3600000; // 1 hour
-
 app.use(express.static(path.join(__dirname, "public")));
 
+// With `format` (csv, geojson, txt or pdf) a successful search is downloaded
+// as a report file instead
 app.get("/api/windstorms", async (req, res) => {
-  try {
-    const address = String(req.query.address || "").trim();
-    if (!address) {
-      return res.status(400).json({ error: "Address is required." });
-    }
-
-    // Radius in miles (0 = county-wide, no filtering)
-    const radiusMiles = Math.max(0, Number(req.query.radius) || 0);
-
-    console.log(`[${new Date().toISOString()}] Searching for: ${address} (radius: ${radiusMiles || 'county-wide'})`);
-
-    const geo = await geocodeAddress(address);
-    if (!geo) {
-      return res.status(404).json({ error: "Could not find that address. Try including city and state." });
-    }
-
-    console.log(`  Geocoded to: ${geo.county}, ${geo.state} (${geo.lat}, ${geo.lon})`);
-
-    const cutoff = new Date();
-    cutoff.setFullYear(cutoff.getFullYear() - 10);
-
-    const startYear = cutoff.getUTCFullYear();
-    const endYear = new Date().getUTCFullYear();
-
-    const allEvents = [];
-    for (let year = startYear; year <= endYear; year++) {
-      try {
-        const events = await getWindEventsForYear(year, geo, cutoff);
-        allEvents.push(...events);
-        console.log(`  Year ${year}: ${events.length} events`);
-      } catch (err) {
-        console.error(`  Error processing year ${year}:`, err.message);
-      }
-    }
-
-    // Sort by date descending (newest first)
-    allEvents.sort((a, b) => b.date.getTime() - a.date.getTime());
-
-    // If radius specified, filter by distance and calculate distances
-    let filteredEvents = allEvents;
-    if (radiusMiles > 0) {
-      filteredEvents = allEvents
-        .map((e) => {
-          if (e.lat && e.lon) {
-            e.distanceMiles = haversineDistance(geo.lat, geo.lon, e.lat, e.lon);
-          }
-          return e;
-        })
-        .filter((e) => {
-          // Include if no coords (can't filter) or within radius
-          if (!e.lat || !e.lon) return false; // Exclude events without coords when radius specified
-          return e.distanceMiles <= radiusMiles;
-        });
-      console.log(`  After ${radiusMiles}mi radius filter: ${filteredEvents.length} events`);
-    }
-
-    // Deduplicate events on same date with same wind speed
-    const seen = new Set();
-    const uniqueEvents = filteredEvents.filter((e) => {
-      const key = `${formatDate(e.date)}-${e.windSpeedMph}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-
-    const results = uniqueEvents.map((event) => ({
-      date: formatDate(event.date),
-      windSpeedMph: event.windSpeedMph,
-      eventType: event.eventType,
-      distanceMiles: event.distanceMiles ? Math.round(event.distanceMiles * 10) / 10 : null
-    }));
-
-    console.log(`  Total unique events: ${results.length}`);
-
-    return res.json({
-      address: geo.displayName,
-      county: geo.county,
-      state: geo.state,
-      radiusMiles: radiusMiles || null,
-      results
-    });
-  } catch (error) {
-    console.error("API Error:", error);
-    return res.status(500).json({ error: "Server error. Please try again." });
-  }
-});
-
-app.listen(PORT, () => {
-  console.log(`\n🌪️  Wind Report Server`);
-  console.log(`   http://localhost:${PORT}\n`);
-});
-
-async function geocodeAddress(address) {
-  const url = new URL("https://nominatim.openstreetmap.org/search");
-  url.searchParams.set("format", "json");
-  url.searchParams.set("limit", "1");
-  url.searchParams.set("addressdetails", "1");
-  url.searchParams.set("countrycodes", "us");
-  url.searchParams.set("q", address);
-
-  const response = await fetch(url, {
-    headers: {
-      "User-Agent": "WindReport/2.0 (NOAA Storm Events Lookup)"
-    }
-  });
-
-  if (!response.ok) {
-    return null;
-  }
-
-  const data = await response.json();
-  if (!Array.isArray(data) || data.length === 0) {
-    return null;
+  const format = parseReportFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ error: `Invalid format. Use one of: ${REPORT_FORMATS.join(", ")}.` });
   }
 
-  const result = data[0];
-  const details = result.address || {};
-
-  // Extract county - try multiple fields
-  let county = details.county || details.state_district || details.region || details.city || null;
-  if (county) {
-    // Remove common suffixes
-    county = county
-      .replace(/\s+County$/i, "")
-      .replace(/\s+Parish$/i, "")  // Louisiana uses parishes
-      .replace(/\s+Borough$/i, "")  // Alaska uses boroughs
-      .replace(/\s+Census Area$/i, "")  // Alaska
-      .trim();
+  const { status, body } = await searchWindstorms(req.query, () => {}, { logger: console });
+  if (status !== 200 || format === "json") {
+    return res.status(status).json(body);
   }
-
-  console.log(`  Geocoded details: county="${county}", state="${details.state}", city="${details.city}"`);
-
-  return {
-    displayName: result.display_name,
-    lat: Number(result.lat),
-    lon: Number(result.lon),
-    county,
-    state: details.state || null,
-    stateCode: (details["ISO3166-2-lvl4"] || "").replace("US-", "") || null
-  };
-}
-
-async function getWindEventsForYear(year, geo, cutoff) {
-  const filename = await getLatestStormFilename(year);
-  if (!filename) {
-    console.log(`  No file found for year ${year}`);
-    return [];
+  let report;
+  try {
+    report = await formatReport(body, format);
+  } catch (err) {
+    console.error("Report error:", err);
+    return res.status(500).json({ error: "Server error. Please try again." });
   }
+  return res.type(report.contentType).attachment(report.filename).send(report.body);
+});
 
-  await ensureFileDownloaded(filename);
-
-  const filePath = path.join(CACHE_DIR, filename);
-  const events = [];
-
-  const normalizedTargetCounty = normalizeName(geo.county);
-  const normalizedTargetState = normalizeName(geo.state);
-  
-  console.log(`  Looking for: state="${normalizedTargetState}" county="${normalizedTargetCounty}"`);
-
-  let windEventsInState = 0;
-  let sampleCounties = new Set();
-
-  const parser = parse({
-    columns: true,
-    relax_column_count: true,
-    relax_quotes: true,
-    skip_empty_lines: true
+// Final stream event for each search status; anything else is a "failure"
+const STREAM_RESULT_EVENTS = { 200: "result", 300: "candidates" };
+
+// Same search as /api/windstorms, streamed as Server-Sent Events: "progress"
+// events while geocoding and loading each year, then a single "result" (the
+// /api/windstorms response body), "candidates" (an ambiguous address) or
+// "failure" ({ error }) event.
+app.get("/api/windstorms/stream", async (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
   });
 
-  parser.on("readable", () => {
-    let record;
-    while ((record = parser.read())) {
-      const eventType = (record.EVENT_TYPE || "").trim();
-      if (!WIND_EVENT_TYPES.has(eventType)) {
-        continue;
-      }
-
-      // Match by state
-      const recordState = normalizeName(record.STATE);
-      if (normalizedTargetState && recordState !== normalizedTargetState) {
-        continue;
-      }
-
-      windEventsInState++;
-      
-      // Collect sample counties for debugging
-      const recordCounty = normalizeName(record.CZ_NAME);
-      if (sampleCounties.size < 10) {
-        sampleCounties.add(recordCounty);
-      }
-
-      // Match by county (CZ_TYPE = C means county, Z means zone)
-      const czType = (record.CZ_TYPE || "").trim().toUpperCase();
-      
-      // For county matching, use flexible matching
-      if (normalizedTargetCounty) {
-        const countyMatches = 
-          recordCounty === normalizedTargetCounty ||
-          recordCounty.includes(normalizedTargetCounty) ||
-          normalizedTargetCounty.includes(recordCounty) ||
-          // Handle case where one is abbreviated
-          recordCounty.split(" ")[0] === normalizedTargetCounty.split(" ")[0];
-        
-        if (!countyMatches) {
-          continue;
-        }
-      }
-
-      const beginDate = parseNoaaDate(record.BEGIN_DATE_TIME || record.BEGIN_DATE);
-      if (!beginDate || beginDate < cutoff) {
-        continue;
-      }
-
-      // Get wind speed from MAGNITUDE field (for wind events, this is in knots or mph)
-      let magnitude = Number.parseFloat(record.MAGNITUDE);
-      
-      // NOAA stores thunderstorm wind speeds in knots, high wind in mph
-      // Convert knots to mph if needed (thunderstorm wind is typically in knots)
-      const magnitudeType = (record.MAGNITUDE_TYPE || "").toUpperCase();
-      if (magnitudeType === "EG" || magnitudeType === "MG") {
-        // EG = Estimated Gust, MG = Measured Gust - these are in knots
-        magnitude = Math.round(magnitude * 1.15078);
-      }
-
-      if (!Number.isFinite(magnitude) || magnitude <= 0) {
-        continue;
-      }
-
-      // Get coordinates if available
-      const lat = Number.parseFloat(record.BEGIN_LAT);
-      const lon = Number.parseFloat(record.BEGIN_LON);
-
-      events.push({
-        date: beginDate,
-        windSpeedMph: Math.round(magnitude),
-        eventType,
-        lat: Number.isFinite(lat) ? lat : null,
-        lon: Number.isFinite(lon) ? lon : null
-      });
-    }
+  // A closed connection cancels the search before its next year
+  const cancel = new AbortController();
+  req.on("close", () => {
+    if (!res.writableEnded) cancel.abort();
   });
 
-  await pipeline(fs.createReadStream(filePath), zlib.createGunzip(), parser);
-  
-  if (events.length === 0 && windEventsInState > 0) {
-    console.log(`  Found ${windEventsInState} wind events in state but none in county.`);
-    console.log(`  Sample counties in data: ${[...sampleCounties].join(", ")}`);
-  }
-  
-  return events;
-}
-
-async function getNoaaDirectoryHtml() {
-  const now = Date.now();
-  if (directoryCache.html && now - directoryCache.timestamp < DIRECTORY_CACHE_TTL) {
-    return directoryCache.html;
-  }
-
-  const response = await fetch(NOAA_DIR_URL);
-  if (!response.ok) {
-    throw new Error("Failed to fetch NOAA directory listing.");
-  }
-
-  const html = await response.text();
-  directoryCache = { html, timestamp: now };
-  return html;
-}
-
-async function getLatestStormFilename(year) {
-  const html = await getNoaaDirectoryHtml();
-  const regex = /StormEvents_details-ftp_v1\.0_d(\d{4})_c(\d{8})\.csv\.gz/g;
-  const matches = [];
-
-  let match;
-  while ((match = regex.exec(html)) !== null) {
-    if (Number(match[1]) === year) {
-      matches.push({ filename: match[0], created: match[2] });
-    }
-  }
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const { status, body } = await searchWindstorms(req.query, (progress) => send("progress", progress), { logger: console, signal: cancel.signal });
+  if (cancel.signal.aborted) return;
+  send(STREAM_RESULT_EVENTS[status] || "failure", body);
+  res.end();
+});
 
-  if (matches.length === 0) {
-    return null;
-  }
+// One event's full details record, including the event and episode
+// narratives. Pass `year` (the event's begin year) when the year may not
+// have been searched yet.
+app.get("/api/windstorms/events/:eventId", async (req, res) => {
+  const { status, body } = await getEventDetails(req.params.eventId, req.query, { logger: console });
+  return res.status(status).json(body);
+});
 
-  matches.sort((a, b) => b.created.localeCompare(a.created));
-  return matches[0].filename;
-}
+// Base layer for the results map: county and state outlines for a `bbox`
+// (or a county `fips`), and the tile layer if one is configured
+app.get("/api/map", (req, res) => {
+  const { status, body } = handleMapRequest(req.query);
+  return res.status(status).json(body);
+});
 
-async function ensureFileDownloaded(filename) {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
+// Batch reports: POST a CSV or JSON list of locations, with the search
+// options in the query string, to start a job; then poll it for progress and
+// per-location summaries, and download the combined results
+app.post("/api/batch", express.text({ type: "*/*", limit: "2mb" }), (req, res) => {
+  const { locations, error } = parseBatchInput(req.body, req.get("content-type"));
+  if (error) {
+    return res.status(400).json({ error });
   }
+  const job = startBatchJob(locations, req.query, { logger: console });
+  return res.status(202).json(describeBatchJob(job));
+});
 
-  const filePath = path.join(CACHE_DIR, filename);
-  if (fs.existsSync(filePath)) {
-    return;
+app.get("/api/batch/:jobId", (req, res) => {
+  const job = getBatchJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Batch job not found. Jobs are kept until the server restarts." });
   }
+  return res.json(describeBatchJob(job));
+});
 
-  console.log(`  Downloading ${filename}...`);
-  const response = await fetch(`${NOAA_DIR_URL}${filename}`);
-  if (!response.ok) {
-    throw new Error(`Failed to download ${filename}`);
+app.get("/api/batch/:jobId/download", (req, res) => {
+  const job = getBatchJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Batch job not found. Jobs are kept until the server restarts." });
   }
-
-  await pipeline(response.body, fs.createWriteStream(filePath));
-  console.log(`  Downloaded ${filename}`);
-}
-
-function parseNoaaDate(value) {
-  if (!value) return null;
-
-  // Format: "DD-MON-YY HH:MM:SS" or "MM/DD/YYYY HH:MM:SS"
-  const str = String(value).trim();
-
-  // Try MM/DD/YYYY format first
-  const slashMatch = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
-  if (slashMatch) {
-    const [, month, day, year] = slashMatch;
-    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (job.status !== "done") {
+    return res.status(409).json({ error: "The batch is still running." });
   }
-
-  // Try DD-MON-YY format
-  const dashMatch = str.match(/^(\d{1,2})-([A-Z]{3})-(\d{2,4})/i);
-  if (dashMatch) {
-    const [, day, monthStr, yearStr] = dashMatch;
-    const months = { JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5, JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11 };
-    const month = months[monthStr.toUpperCase()];
-    let year = Number(yearStr);
-    if (year < 100) year += 2000;
-    if (month !== undefined) {
-      return new Date(Date.UTC(year, month, Number(day)));
-    }
+  const download = formatBatchDownload(job, req.query.format || "json");
+  if (!download) {
+    return res.status(400).json({ error: "Invalid format. Use json or csv." });
   }
+  return res.type(download.contentType).attachment(download.filename).send(download.body);
+});
 
-  return null;
-}
-
-function formatDate(date) {
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  const year = String(date.getUTCFullYear());
-  return `${month}/${day}/${year}`;
-}
-
-function normalizeName(value) {
-  if (!value) return "";
-  return String(value)
-    .toLowerCase()
-    .replace(/\s+county$/i, "")
-    .replace(/[^a-z0-9\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
+// Cache administration, enabled by setting ADMIN_TOKEN (sent as a bearer
+// token): what is cached, and a forced refresh of some or all years
+app.get("/api/admin/cache", async (req, res) => {
+  const { status, body } = await handleCacheAdmin("status", req.query, req.get("authorization"));
+  return res.status(status).json(body);
+});
 
-// Calculate distance between two lat/lon points in miles (Haversine formula)
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 3958.8; // Earth's radius in miles
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+app.post("/api/admin/cache/refresh", async (req, res) => {
+  const { status, body } = await handleCacheAdmin("refresh", req.query, req.get("authorization"));
+  return res.status(status).json(body);
+});
 
-function toRad(deg) {
-  return deg * (Math.PI / 180);
-}
+app.listen(PORT, () => {
+  console.log(`\n🌪️  Wind Report Server`);
+  console.log(`   http://localhost:${PORT}\n`);
+});
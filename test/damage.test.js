@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseDamageAmount, adjustForInflation, readDamage, parseDamageQuery } from "../lib/damage.js";
+
+test("parses NOAA damage estimates", () => {
+  assert.equal(parseDamageAmount("10.00K"), 10000);
+  assert.equal(parseDamageAmount("1.5M"), 1500000);
+  assert.equal(parseDamageAmount("2b"), 2000000000);
+  assert.equal(parseDamageAmount(".5K"), 500);
+  assert.equal(parseDamageAmount("250"), 250);
+  assert.equal(parseDamageAmount("0.00K"), 0);
+});
+
+test("reads missing or malformed estimates as null", () => {
+  assert.equal(parseDamageAmount(""), null);
+  assert.equal(parseDamageAmount(undefined), null);
+  assert.equal(parseDamageAmount("1.5X"), null);
+  assert.equal(parseDamageAmount("K"), null);
+});
+
+test("restates amounts with the CPI table, clamping years outside it", () => {
+  // 1950 CPI-U 24.1, 2000 172.2
+  assert.equal(adjustForInflation(1000, 1950, 2000), 7145);
+  assert.equal(adjustForInflation(1000, 1900, 2000), 7145);
+  assert.equal(adjustForInflation(1000, 2000, 2000), 1000);
+});
+
+test("totals property and crop damage, keeping unestimated amounts null", () => {
+  assert.deepEqual(readDamage({ damageProperty: "10K", damageCrops: "" }, 2020), { property: 10000, crops: null, total: 10000 });
+  assert.deepEqual(readDamage({ damageProperty: "", damageCrops: "" }, 2020), { property: null, crops: null, total: null });
+  assert.equal(readDamage({ damageProperty: "1K" }, 1950, 2000).property, 7145);
+});
+
+test("validates the damage query parameters", () => {
+  assert.deepEqual(parseDamageQuery({}), { sort: "date", minDamage: null, dollarYear: null });
+  assert.equal(parseDamageQuery({ sort: "Damage", minDamage: "5000" }).minDamage, 5000);
+  assert.equal(parseDamageQuery({ sort: "size" }), null);
+  assert.equal(parseDamageQuery({ minDamage: "-1" }), null);
+  assert.equal(parseDamageQuery({ minDamage: "lots" }), null);
+});
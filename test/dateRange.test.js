@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseDateRange, parseInputDate, formatIsoDate } from "../lib/dateRange.js";
+
+const range = (query) => {
+  const parsed = parseDateRange(query);
+  return parsed && [formatIsoDate(parsed.start), parsed.end.toISOString()];
+};
+
+test("reads explicit start and end dates, inclusive of the end day", () => {
+  assert.deepEqual(range({ start: "2020-01-15", end: "03/01/2021" }), ["2020-01-15", "2021-03-01T23:59:59.999Z"]);
+  assert.deepEqual(range({ start: "2019", end: "2020" }), ["2019-01-01", "2020-12-31T23:59:59.999Z"]);
+});
+
+test("defaults the start to ten years before the end", () => {
+  assert.deepEqual(range({ end: "2020-06-30" }), ["2010-06-30", "2020-06-30T23:59:59.999Z"]);
+});
+
+test("clamps the start to 1950", () => {
+  assert.deepEqual(range({ start: "1900-01-01", end: "1955-12-31" }), ["1950-01-01", "1955-12-31T23:59:59.999Z"]);
+});
+
+test("counts whole years back from today", () => {
+  const today = new Date();
+  const [start] = range({ years: "5.7" });
+  assert.equal(start, `${today.getUTCFullYear() - 5}-${formatIsoDate(today).slice(5)}`);
+});
+
+test("rejects invalid ranges", () => {
+  assert.equal(parseDateRange({ start: "2021-01-01", end: "2020-01-01" }), null);
+  assert.equal(parseDateRange({ start: "yesterday" }), null);
+  assert.equal(parseDateRange({ years: "0" }), null);
+  assert.equal(parseDateRange({ years: "many" }), null);
+});
+
+test("rejects dates that roll over", () => {
+  assert.equal(parseInputDate("02/31/2020"), null);
+  assert.equal(parseInputDate("2021-02-29"), null);
+  assert.equal(formatIsoDate(parseInputDate("2020-02-29")), "2020-02-29");
+});
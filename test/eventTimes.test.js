@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readEventTimes, parseNoaaDateTime, parseTimezoneOffset } from "../lib/eventTimes.js";
+
+test("reads timezones with and without an offset", () => {
+  assert.equal(parseTimezoneOffset("CST-6"), -6);
+  assert.equal(parseTimezoneOffset("EST"), -5);
+  assert.equal(parseTimezoneOffset("hst"), -10);
+  assert.equal(parseTimezoneOffset("XYZ"), null);
+  assert.equal(parseTimezoneOffset(""), null);
+});
+
+test("parses both NOAA date formats, pivoting two-digit years at 50", () => {
+  assert.deepEqual(parseNoaaDateTime("15-MAY-49 14:30:00"), { year: 2049, month: 4, day: 15, hour: 14, minute: 30, second: 0 });
+  assert.deepEqual(parseNoaaDateTime("15-MAY-50 14:30:00"), { year: 1950, month: 4, day: 15, hour: 14, minute: 30, second: 0 });
+  assert.deepEqual(parseNoaaDateTime("5/6/2024"), { year: 2024, month: 4, day: 6, hour: 0, minute: 0, second: 0 });
+  assert.equal(parseNoaaDateTime("15-XXX-20"), null);
+});
+
+test("gives the local date, the exact instant and offset times", () => {
+  const times = readEventTimes({
+    BEGIN_DATE_TIME: "06-MAY-24 21:30:00",
+    END_DATE_TIME: "06-MAY-24 24:00:00",
+    CZ_TIMEZONE: "CST-6"
+  });
+  assert.equal(times.date.toISOString(), "2024-05-06T00:00:00.000Z");
+  assert.equal(times.instant.toISOString(), "2024-05-07T03:30:00.000Z");
+  assert.equal(times.beginTime, "2024-05-06T21:30:00-06:00");
+  assert.equal(times.endTime, "2024-05-07T00:00:00-06:00");
+  assert.equal(times.timezone, "CST-6");
+});
+
+test("leaves the offset off when the timezone is unknown", () => {
+  const times = readEventTimes({ BEGIN_DATE_TIME: "06-MAY-24 21:30:00", CZ_TIMEZONE: "" });
+  assert.equal(times.beginTime, "2024-05-06T21:30:00");
+  assert.equal(times.endTime, null);
+  assert.equal(readEventTimes({ BEGIN_DATE_TIME: "" }), null);
+});
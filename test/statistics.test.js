@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { estimateReturnPeriods, summarizeEvents } from "../lib/statistics.js";
+
+const speeds = (rows) => rows.map((row) => row.windSpeedMph);
+
+test("fits a Gumbel distribution to the annual maxima", () => {
+  assert.deepEqual(speeds(estimateReturnPeriods([50, 60, 70, 80, 90])), [91, 102, 111]);
+});
+
+test("mixes quiet years into the fit", () => {
+  const maxima = [50, 60, 70, 80, 90, null, null, null, null, null];
+  assert.deepEqual(speeds(estimateReturnPeriods(maxima)), [81, 94, 102]);
+});
+
+test("gives no speed with fewer than five years of wind reports", () => {
+  assert.deepEqual(speeds(estimateReturnPeriods([50, 60, 70, 80, null, null])), [null, null, null]);
+});
+
+test("gives no speed for periods rarer than a quiet year", () => {
+  const maxima = [50, 60, 70, 80, 90, ...Array(55).fill(null)];
+  assert.deepEqual(speeds(estimateReturnPeriods(maxima)), [null, 68, 79]);
+});
+
+test("summarizes wind events by year, month and threshold", () => {
+  const wind = (date, mph) => ({ date: new Date(date), category: "wind", measurement: { windSpeedMph: mph } });
+  const events = [
+    wind("2020-06-01", 60),
+    wind("2020-06-15", 80),
+    wind("2021-03-01", 50),
+    { date: new Date("2021-03-02"), category: "hail", measurement: { windSpeedMph: null } }
+  ];
+  const summary = summarizeEvents(events, [2020, 2021, 2022], "mph");
+
+  assert.equal(summary.eventsPerYear, 1.3);
+  assert.deepEqual(summary.byYear.map((row) => row.maxWindMph), [80, 50, null]);
+  assert.equal(summary.byMonth[5].events, 2);
+  assert.equal(summary.byMonth[2].events, 2);
+  assert.equal(summary.maxWind, events[1]);
+  assert.deepEqual(summary.windThresholds.map((row) => row.events), [2, 1, 0]);
+});